@@ -15,11 +15,42 @@
 # Get yours at: https://console.groq.com
 export GROQ_API_KEY="REPLACE_ME"
 
+# LLM provider (optional, defaults to Groq). Any OpenAI-compatible
+# chat/completions endpoint works: Groq, OpenAI, Anthropic or a local server.
+# The API key itself lives in the n8n Header Auth credential (and in the
+# OpenAI credential of the webhook workflow's LLM - Reply Model node).
+# export LLM_BASE_URL="https://api.groq.com/openai/v1"
+# export LLM_MODEL="llama-3.3-70b-versatile"
+# Sampling settings per call: EXTRACT is the intent/query parser in both
+# workflows, FORMAT the LearningSearch reply writer, REPLY the webhook
+# workflow's streamed search reply. Leave unset for the workflow defaults.
+# export LLM_EXTRACT_TEMPERATURE="0.3"
+# export LLM_EXTRACT_MAX_TOKENS="300"
+# export LLM_FORMAT_TEMPERATURE="0.7"
+# export LLM_FORMAT_MAX_TOKENS="600"
+# export LLM_REPLY_TEMPERATURE="0.7"
+# export LLM_REPLY_MAX_TOKENS="120"
+
 # Shopify store configuration
 export SHOPIFY_STORE="your-store.myshopify.com"
 export SHOPIFY_STOREFRONT_TOKEN="REPLACE_ME"
 export SHOPIFY_ACCESS_TOKEN="REPLACE_ME"  # Admin API token (for stress tests)
-export SHOPIFY_API_VERSION="2024-01"
+export SHOPIFY_API_VERSION="2024-04"
+
+# Read by the n8n workflows (Store Config node and workflow-2) in place of
+# hard-coded values. The domain may also be a full URL such as
+# http://127.0.0.1:8788 to run against mock-shopify-server.js.
+export SHOPIFY_STORE_DOMAIN="${SHOPIFY_STORE}"
+export SHOPIFY_STOREFRONT_API_VERSION="2024-04"
+
+# Workflow-2 catalog cache and product webhooks (see src/Misc/LearningSearch/SETUP.md)
+# export CATALOG_MAX_AGE_SECONDS="300"
+# export CATALOG_FULL_SYNC_HOURS="24"
+# export SHOPIFY_WEBHOOK_SECRET=""  # also add crypto to NODE_FUNCTION_ALLOW_BUILTIN
+
+# Serve several stores from one webhook (see src/shopify_chat_agent/tenants.example.json)
+# export SHOPIFY_TENANTS_FILE="/path/to/src/shopify_chat_agent/tenants.json"
+# export NODE_FUNCTION_ALLOW_BUILTIN="fs"
 
 # Shopify OAuth2 credentials (for n8n credential setup)
 export SHOPIFY_CLIENT_ID="REPLACE_ME"
@@ -244,13 +244,42 @@ start_n8n() {
 # ────────────────────────────────────────────────────────────
 # 5. Import workflows
 # ────────────────────────────────────────────────────────────
+
+# Literal credentials that must not appear in a workflow export. Store
+# domains, tokens and API keys belong in env.sh or n8n credentials.
+SECRET_PATTERNS=(
+    'shp(at|ca|pa|ss)_[0-9a-fA-F]{32}'           # Shopify Admin / app tokens
+    'gsk_[A-Za-z0-9]{20,}'                       # Groq API keys
+    'sk-(ant-)?[A-Za-z0-9_-]{20,}'               # OpenAI / Anthropic API keys
+    '"value": *"(Bearer +)?[0-9a-fA-F]{32}"'     # Storefront token as a header value
+)
+
+# Print every literal secret in a workflow (masked); returns 1 if any found
+scan_workflow_secrets() {
+    local workflow="$1" found=0 pattern match
+    for pattern in "${SECRET_PATTERNS[@]}"; do
+        while IFS= read -r match; do
+            [[ -z "$match" ]] && continue
+            fail "  line ${match%%:*}: $(echo "${match#*:}" | sed -E 's/([A-Za-z0-9]{4})[A-Za-z0-9_-]{4,}/\1****/g')"
+            found=1
+        done <<< "$(grep -noE "$pattern" "$workflow" || true)"
+    done
+    return $found
+}
+
 import_workflows() {
     header "Importing workflows from src/"
 
+    local refused=0
     for workflow in "${WORKFLOWS[@]}"; do
         if [[ -f "$workflow" ]]; then
             local name
             name="$(basename "$(dirname "$workflow")")/$(basename "$workflow")"
+            if ! scan_workflow_secrets "$workflow"; then
+                fail "Refusing to import ${name}: it contains literal secrets"
+                refused=$((refused + 1))
+                continue
+            fi
             info "Importing: $name"
             if npx n8n import:workflow --input="$workflow" 2>/dev/null; then
                 ok "Imported: $name"
@@ -261,6 +290,11 @@ import_workflows() {
             warn "Workflow not found: $workflow"
         fi
     done
+
+    if (( refused > 0 )); then
+        fail "${refused} workflow(s) not imported. Replace the values above with \$env expressions or n8n credentials."
+        exit 1
+    fi
 }
 
 # ────────────────────────────────────────────────────────────
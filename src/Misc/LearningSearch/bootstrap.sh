@@ -255,6 +255,18 @@ install_test_deps() {
             warn "ws module install failed (WebSocket tests may fail)"
         fi
     fi
+
+    if [[ -d "/tmp/node_modules/jsdom" && -d "/tmp/node_modules/axe-core" ]]; then
+        ok "jsdom and axe-core already installed at /tmp/node_modules/"
+    else
+        info "Installing jsdom and axe-core to /tmp/node_modules/ (for widget accessibility tests)..."
+        (cd /tmp && npm install jsdom axe-core 2>/dev/null)
+        if [[ -d "/tmp/node_modules/jsdom" && -d "/tmp/node_modules/axe-core" ]]; then
+            ok "jsdom and axe-core installed"
+        else
+            warn "jsdom/axe-core install failed (widget accessibility tests will fail)"
+        fi
+    fi
 }
 
 # ────────────────────────────────────────────────────────────
@@ -281,13 +293,37 @@ setup_env_file() {
 # Get yours at: https://console.groq.com
 export GROQ_API_KEY="REPLACE_ME"
 
-# Shopify store
+# LLM provider for the test suites and workflows (optional, defaults to Groq)
+# LLM_PROVIDER: groq | openai | anthropic | local | mock (see test-config.js)
+# export LLM_PROVIDER="groq"
+# export LLM_BASE_URL="https://api.groq.com/openai/v1"
+# export LLM_MODEL="llama-3.1-8b-instant"
+# export LLM_API_KEY=""
+
+# Shopify store (a shop domain, a base URL such as http://127.0.0.1:8788,
+# or "mock" to run the test suites against mock-shopify-server.js)
 export SHOPIFY_STORE="your-store.myshopify.com"
-export SHOPIFY_API_VERSION="2024-01"
+export SHOPIFY_API_VERSION="2024-04"
+
+# Store domain read by the n8n workflow (must be a real domain or URL, not "mock")
+export SHOPIFY_STORE_DOMAIN="your-store.myshopify.com"
+
+# Catalog cache read by the n8n workflow (optional): seconds a cached catalog
+# is served before an incremental sync, and hours between full syncs
+# export CATALOG_MAX_AGE_SECONDS="300"
+# export CATALOG_FULL_SYNC_HOURS="24"
 
-# Shopify OAuth2 credentials (from your Shopify custom app)
-export SHOPIFY_CLIENT_ID="REPLACE_ME"
-export SHOPIFY_CLIENT_SECRET="REPLACE_ME"
+# Shopify product webhooks (optional): the key Shopify signs them with.
+# The workflow checks signatures with Node's crypto module.
+# export SHOPIFY_WEBHOOK_SECRET=""
+# export NODE_FUNCTION_ALLOW_BUILTIN="crypto"
+
+# Storefront API token for the n8n workflow's product search (from your
+# Shopify custom app, scope unauthenticated_read_product_listings)
+export SHOPIFY_STOREFRONT_TOKEN="REPLACE_ME"
+
+# Admin API token (optional, test suites only: checks that drafts stay hidden)
+# export SHOPIFY_ACCESS_TOKEN=""
 
 # n8n local instance
 export N8N_BASE="http://localhost:5678"
@@ -296,7 +332,6 @@ export N8N_PASSWORD="REPLACE_ME"
 
 # n8n credential IDs (set after creating credentials in n8n UI)
 export N8N_GROQ_HEADER_AUTH_ID="REPLACE_ME"
-export N8N_SHOPIFY_OAUTH2_ID="REPLACE_ME"
 ENVTEMPLATE
         chmod +x "$ENV_FILE"
         warn "env.sh created with placeholder values."
@@ -466,11 +501,9 @@ print_n8n_instructions() {
     - Header Name: Authorization
     - Header Value: Bearer <your GROQ_API_KEY>
 
-  ${BOLD}Step 3: Create Shopify OAuth2 credential${NC}
-    - Go to: Credentials > Add Credential > Shopify OAuth2 API
-    - Shop Subdomain: the-fashion-company-3
-    - Client ID: <your SHOPIFY_CLIENT_ID>
-    - Client Secret: <your SHOPIFY_CLIENT_SECRET>
+  ${BOLD}Step 3: Check the Storefront token${NC}
+    - Product search reads SHOPIFY_STOREFRONT_TOKEN from n8n's environment
+    - Set it in env.sh and restart n8n if it was started without it
 
   ${BOLD}Step 4: Import workflow${NC}
     - Go to: Workflows > Import from File
@@ -487,6 +520,18 @@ INSTRUCTIONS
 # ────────────────────────────────────────────────────────────
 # 10. Run tests
 # ────────────────────────────────────────────────────────────
+
+# The mock and local LLM servers have no rate limit to wait for
+rate_limit_pause() {
+    case "${LLM_PROVIDER:-groq}" in
+        mock|local) ;;
+        *)
+            info "Pausing 10s for LLM rate limit..."
+            sleep 10
+            ;;
+    esac
+}
+
 run_tests() {
     header "Running test suites"
 
@@ -502,7 +547,7 @@ run_tests() {
 
     # Test 1: E2E component tests (uses Groq)
     echo ""
-    info "Test 1/5: E2E Component Tests (test-e2e.js)"
+    info "Test 1/10: E2E Component Tests (test-e2e.js)"
     if [[ -f "${SCRIPT_DIR}/test-e2e.js" ]]; then
         if NODE_PATH=/tmp/node_modules node "${SCRIPT_DIR}/test-e2e.js"; then
             ok "test-e2e.js passed"
@@ -517,12 +562,11 @@ run_tests() {
     fi
 
     # Rate-limit pause between Groq-calling tests
-    info "Pausing 10s for Groq rate limit..."
-    sleep 10
+    rate_limit_pause
 
     # Test 2: Shopify API query tests (uses Groq)
     echo ""
-    info "Test 2/5: Shopify API Query Tests (test-shopify-api.js)"
+    info "Test 2/10: Shopify API Query Tests (test-shopify-api.js)"
     if [[ -f "${SCRIPT_DIR}/test-shopify-api.js" ]]; then
         if node "${SCRIPT_DIR}/test-shopify-api.js"; then
             ok "test-shopify-api.js passed"
@@ -537,12 +581,11 @@ run_tests() {
     fi
 
     # Rate-limit pause
-    info "Pausing 10s for Groq rate limit..."
-    sleep 10
+    rate_limit_pause
 
     # Test 3: Shopify stress test (no Groq)
     echo ""
-    info "Test 3/5: Shopify Stress Test (test-shopify-stress.js)"
+    info "Test 3/10: Shopify Stress Test (test-shopify-stress.js)"
     if [[ -f "${SCRIPT_DIR}/test-shopify-stress.js" ]]; then
         if node "${SCRIPT_DIR}/test-shopify-stress.js"; then
             ok "test-shopify-stress.js passed"
@@ -557,12 +600,11 @@ run_tests() {
     fi
 
     # Rate-limit pause
-    info "Pausing 10s for Groq rate limit..."
-    sleep 10
+    rate_limit_pause
 
     # Test 4: Cart latency tests (uses Groq)
     echo ""
-    info "Test 4/5: Cart Latency Tests (test-cart-latency.js)"
+    info "Test 4/10: Cart Latency Tests (test-cart-latency.js)"
     if [[ -f "${SCRIPT_DIR}/test-cart-latency.js" ]]; then
         if node "${SCRIPT_DIR}/test-cart-latency.js"; then
             ok "test-cart-latency.js passed"
@@ -578,7 +620,7 @@ run_tests() {
 
     # Test 5: Python E2E test
     echo ""
-    info "Test 5/5: Python E2E Tests (test-e2e.py)"
+    info "Test 5/10: Python E2E Tests (test-e2e.py)"
     if [[ -f "${SCRIPT_DIR}/test-e2e.py" ]]; then
         if command_exists python3; then
             if python3 "${SCRIPT_DIR}/test-e2e.py"; then
@@ -597,6 +639,86 @@ run_tests() {
         skip=$((skip + 1))
     fi
 
+    # Test 6: Widget accessibility (no Groq, no n8n)
+    echo ""
+    info "Test 6/10: Widget Accessibility Tests (test-widget-a11y.js)"
+    if [[ -f "${SCRIPT_DIR}/test-widget-a11y.js" ]]; then
+        if node "${SCRIPT_DIR}/test-widget-a11y.js"; then
+            ok "test-widget-a11y.js passed"
+            pass=$((pass + 1))
+        else
+            fail "test-widget-a11y.js failed"
+            fail_count=$((fail_count + 1))
+        fi
+    else
+        warn "test-widget-a11y.js not found — skipped"
+        skip=$((skip + 1))
+    fi
+
+    # Test 7: Widget streaming (no Groq, no n8n)
+    echo ""
+    info "Test 7/10: Widget Streaming Tests (test-widget-stream.js)"
+    if [[ -f "${SCRIPT_DIR}/test-widget-stream.js" ]]; then
+        if node "${SCRIPT_DIR}/test-widget-stream.js"; then
+            ok "test-widget-stream.js passed"
+            pass=$((pass + 1))
+        else
+            fail "test-widget-stream.js failed"
+            fail_count=$((fail_count + 1))
+        fi
+    else
+        warn "test-widget-stream.js not found — skipped"
+        skip=$((skip + 1))
+    fi
+
+    # Test 8: Widget network errors (no Groq, no n8n)
+    echo ""
+    info "Test 8/10: Widget Network Error Tests (test-widget-network.js)"
+    if [[ -f "${SCRIPT_DIR}/test-widget-network.js" ]]; then
+        if node "${SCRIPT_DIR}/test-widget-network.js"; then
+            ok "test-widget-network.js passed"
+            pass=$((pass + 1))
+        else
+            fail "test-widget-network.js failed"
+            fail_count=$((fail_count + 1))
+        fi
+    else
+        warn "test-widget-network.js not found — skipped"
+        skip=$((skip + 1))
+    fi
+
+    # Test 9: Webhook workflow nodes (no Groq, no n8n)
+    echo ""
+    info "Test 9/10: Webhook Workflow Node Tests (test-webhook-workflow.js)"
+    if [[ -f "${SCRIPT_DIR}/test-webhook-workflow.js" ]]; then
+        if node "${SCRIPT_DIR}/test-webhook-workflow.js"; then
+            ok "test-webhook-workflow.js passed"
+            pass=$((pass + 1))
+        else
+            fail "test-webhook-workflow.js failed"
+            fail_count=$((fail_count + 1))
+        fi
+    else
+        warn "test-webhook-workflow.js not found — skipped"
+        skip=$((skip + 1))
+    fi
+
+    # Test 10: Widget sanitizer (no Groq, no n8n)
+    echo ""
+    info "Test 10/10: Widget Sanitizer Tests (test-widget-sanitizer.js)"
+    if [[ -f "${SCRIPT_DIR}/test-widget-sanitizer.js" ]]; then
+        if node "${SCRIPT_DIR}/test-widget-sanitizer.js"; then
+            ok "test-widget-sanitizer.js passed"
+            pass=$((pass + 1))
+        else
+            fail "test-widget-sanitizer.js failed"
+            fail_count=$((fail_count + 1))
+        fi
+    else
+        warn "test-widget-sanitizer.js not found — skipped"
+        skip=$((skip + 1))
+    fi
+
     # Test summary
     echo ""
     header "Test Results"
@@ -625,7 +747,7 @@ print_summary() {
   [ ] Open n8n UI at ${N8N_URL}
   [ ] Create local n8n account (first-time setup)
   [ ] Create Groq Header Auth credential in n8n
-  [ ] Create Shopify OAuth2 credential in n8n
+  [ ] Set SHOPIFY_STOREFRONT_TOKEN in env.sh before starting n8n
   [ ] Import workflow from: shopify-product-chat-workflow-2.json
   [ ] Activate the workflow
   [ ] Test the chat widget
@@ -0,0 +1,287 @@
+/**
+ * Mock LLM Server (OpenAI-compatible)
+ *
+ * A deterministic stand-in for Groq/OpenAI so the workflows and test suites
+ * can run offline. Answers POST /v1/chat/completions (and any path ending in
+ * /chat/completions) using keyword rules instead of a model:
+ *
+ * - If the system prompt asks for JSON, returns intent JSON in the vocabulary
+ *   the prompt uses ("cart" for the webhook workflow, "add_to_cart" for
+ *   workflow-2 and the tests), with search_query, product_name, quantity
+ *   and size/colour/material options. Prompts that ask for "filters" also
+ *   get price, colour, size and in-stock filters, and a search_query
+ *   without those words.
+ * - Otherwise returns a short formatted reply listing the products or cart
+ *   found in the user message.
+ *
+ * Same input, same output: no randomness, no timestamps in the content.
+ *
+ * Usage:
+ *   node mock-llm-server.js [port]        # default 8787, or MOCK_LLM_PORT
+ *   LLM_BASE_URL=http://127.0.0.1:8787/v1 node test-e2e.js
+ *
+ * MOCK_LLM_LATENCY_MS adds a fixed delay per request, for the latency suites.
+ */
+
+const http = require('http');
+
+const DEFAULT_PORT = 8787;
+
+// ─── Vocabulary ──────────────────────────────────────────
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'to', 'my', 'me', 'i', 'you', 'your', 'please', 'can', 'could', 'would', 'do', 'does',
+  'have', 'any', 'some', 'what', 'which', 'are', 'is', 'there', 'show', 'find', 'search', 'look', 'looking',
+  'for', 'of', 'in', 'on', 'it', 'that', 'this', 'those', 'these', 'one', 'ones', 'want', 'wanna', 'like',
+  'add', 'put', 'buy', 'get', 'take', 'cart', 'basket', 'bag', 'available', "i'll", 'need', 'with', 'and',
+  'remove', 'delete', 'from', 'out', 'anymore', "don't", 'item', 'items', 'more', 'about', 'tell', 'us',
+  'something', 'everything', 'all', 'just', 'now', 'also', 'too', 'x', 'pcs', 'piece', 'pieces', 'size',
+  'color', 'colour', 'material', 'make', 'change', 'update', 'set', 'quantity', 'stock', 'only',
+]);
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, a: 1, an: 1 };
+const ORDINALS = { first: 0, second: 1, third: 2, fourth: 3, fifth: 4, last: -1 };
+const SIZES = { xs: 'xs', s: 's', m: 'm', l: 'l', xl: 'xl', xxl: 'xxl', small: 'small', medium: 'medium', large: 'large' };
+const COLORS = ['white', 'black', 'blue', 'red', 'green', 'yellow', 'brown', 'gray', 'grey', 'pink', 'purple', 'orange', 'navy', 'beige'];
+const MATERIALS = ['cotton', 'leather', 'linen', 'silk', 'wool', 'denim', 'polyester', 'cashmere'];
+const PRICE_PATTERN = /\b(under|below|less than|over|above)\s*\$?\d+(\.\d+)?/;
+const PLURAL_NOUNS = new Set(['jeans', 'pants', 'shorts', 'trousers', 'leggings', 'glasses', 'sunglasses']);
+
+// ─── Intent rules (first match wins) ─────────────────────
+const INTENT_RULES = [
+  ['clear_cart', /\b(clear|empty)\b.*\b(cart|basket|bag)\b|remove everything|start over|delete all|empty my/],
+  ['remove_from_cart', /\b(remove|delete)\b|take out|\bdon'?t want\b/],
+  ['checkout', /check ?out|\bpay(ment)?\b|complete my order|finish my purchase|buy now|buy these|place (my|the) order/],
+  ['view_cart', /what'?s in my|(show|view|see) (me )?my (cart|basket|bag)|what have i added|how many items|my cart\?$/],
+  ['update_cart', /\b(change|update|make it|set)\b.*\b\d+\b|\bquantity\b/],
+  ['add_to_cart', /\badd\b|\bput\b|\bbuy\b|i'?ll take|\bi want the\b|in(to)? my (cart|basket|bag)/],
+];
+
+function singular(word) {
+  if (PLURAL_NOUNS.has(word)) return word;
+  if (/(ss|sh|ch|x)es$/.test(word)) return word.slice(0, -2);
+  if (/[^s]s$/.test(word) && word.length > 3) return word.slice(0, -1);
+  return word;
+}
+
+// Split the user message into the current message and the context sections
+// the workflows append ("Conversation history:", "Previously shown products:")
+function splitUserContent(content) {
+  const text = String(content || '');
+  const current = (text.match(/Current message:\s*([^\n]*)/) || [])[1];
+  const productSection = text.match(/Previously (?:shown|discussed) products:\n([\s\S]*?)(?:\n\n|$)/);
+  const knownProducts = productSection
+    ? productSection[1].split('\n').map(line => (line.match(/^\[([^\]]+)\]/) || [])[1]).filter(Boolean)
+    : [];
+  return {
+    message: (current !== undefined ? current : text.split('\n')[0]).trim(),
+    hasHistory: /Conversation history:/.test(text),
+    knownProducts,
+  };
+}
+
+function extractOptions(words) {
+  const options = { size: null, color: null, material: null };
+  words.forEach((word, i) => {
+    if (SIZES[word] && (word.length > 2 || words[i - 1] === 'size' || /^(xs|xl|xxl)$/.test(word))) options.size = SIZES[word];
+    if (COLORS.includes(word)) options.color = word;
+    if (MATERIALS.includes(word)) options.material = word;
+  });
+  return options;
+}
+
+function extractQuantity(words) {
+  for (const word of words) {
+    if (/^\d+$/.test(word)) return parseInt(word, 10);
+    if (NUMBER_WORDS[word] && word !== 'a' && word !== 'an') return NUMBER_WORDS[word];
+  }
+  return 1;
+}
+
+// Resolve "the first one" / "it" against previously shown products
+function resolveReference(message, knownProducts) {
+  if (knownProducts.length === 0) return null;
+  for (const [word, index] of Object.entries(ORDINALS)) {
+    if (new RegExp(`\\b${word}\\b`).test(message)) {
+      return knownProducts[index < 0 ? knownProducts.length - 1 : index] || null;
+    }
+  }
+  const mentioned = knownProducts.find(title => title.toLowerCase().split(/\s+/).some(w => w.length > 3 && message.includes(w)));
+  if (mentioned) return mentioned;
+  if (/\b(it|that one|this one|that|those)\b/.test(message)) return knownProducts[knownProducts.length - 1];
+  return null;
+}
+
+// ─── Intent extraction ───────────────────────────────────
+function extractIntent(systemPrompt, userContent) {
+  const prompt = String(systemPrompt || '');
+  const { message, hasHistory, knownProducts } = splitUserContent(userContent);
+  const lower = message.toLowerCase();
+  const priceRange = (lower.match(PRICE_PATTERN) || [null])[0];
+  const words = lower.replace(PRICE_PATTERN, ' ').replace(/\$\d+(\.\d+)?/g, ' ').replace(/[^a-z0-9'\s-]/g, ' ')
+    .split(/\s+/).map(w => w.replace(/'s$/, '')).filter(Boolean);
+
+  const addIntent = /add_to_cart/.test(prompt) ? 'add_to_cart' : 'cart';
+  const rule = INTENT_RULES.find(([, pattern]) => pattern.test(lower));
+  let intent = rule ? rule[0] : 'search';
+  if (intent === 'add_to_cart') intent = addIntent;
+  if (intent === 'update_cart' && !/update_cart/.test(prompt)) intent = addIntent;
+
+  const reference = resolveReference(lower, knownProducts);
+  const referencesPrevious = Boolean(reference) && (hasHistory || knownProducts.length > 0) &&
+    (/\b(first|second|third|fourth|fifth|last|it|that|those|this one|that one)\b/.test(lower) || intent !== 'search');
+  if (intent === 'search' && referencesPrevious && /followup/.test(prompt)) intent = 'followup';
+
+  const options = extractOptions(words);
+  const optionWords = new Set([...COLORS, ...MATERIALS, ...Object.keys(SIZES)]);
+  const terms = words.filter(w => !STOP_WORDS.has(w) && !NUMBER_WORDS[w] && !/^\d+$/.test(w) && !/^\$/.test(w) &&
+    !Object.prototype.hasOwnProperty.call(ORDINALS, w)).map(singular);
+  const searchTerms = terms.filter(w => !SIZES[w] || w.length > 2);
+  const productTerms = terms.filter(w => !optionWords.has(w));
+
+  const wantsFilters = /"filters"/.test(prompt);
+  let searchQuery = (wantsFilters ? productTerms : searchTerms).join(' ') || null;
+  let productName = productTerms.join(' ') || null;
+  if (referencesPrevious && (!productName || intent === 'followup')) {
+    searchQuery = reference;
+    productName = reference;
+  }
+  let productType = productTerms.length > 0 ? productTerms[productTerms.length - 1] : null;
+  if (['view_cart', 'clear_cart', 'checkout'].includes(intent)) {
+    searchQuery = null;
+    productName = null;
+    productType = null;
+  }
+
+  const price = priceRange ? parseFloat(priceRange.replace(/[^\d.]/g, '')) : null;
+  const filters = wantsFilters && intent === 'search' ? {
+    price_min: price !== null && /^(over|above)/.test(priceRange) ? price : null,
+    price_max: price !== null && /^(under|below|less)/.test(priceRange) ? price : null,
+    color: options.color,
+    size: options.size,
+    in_stock: /\bin stock\b/.test(lower) || null,
+  } : undefined;
+
+  return {
+    intent,
+    search_query: searchQuery,
+    product_name: productName,
+    product_reference: productName,
+    product_type: productType,
+    price_range: priceRange,
+    quantity: extractQuantity(words),
+    options,
+    filters,
+    references_previous: referencesPrevious,
+  };
+}
+
+// ─── Response formatting ─────────────────────────────────
+function findJson(text, open, close) {
+  const start = text.indexOf(open);
+  const end = text.lastIndexOf(close);
+  if (start === -1 || end <= start) return null;
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+function formatReply(userContent) {
+  const text = String(userContent || '');
+  const checkoutUrl = (text.match(/Checkout URL:\s*(\S+)/) || [])[1];
+  const action = (text.match(/Action result:\s*([^\n]*)/) || [])[1];
+
+  if (action !== undefined) {
+    const cart = findJson(text.slice(text.indexOf('Current cart')), '[', ']') || [];
+    const lines = cart.map((item, i) => `${i + 1}. ${item.title || item.name} x${item.quantity || 1} - $${item.price || item.subtotal || ''}`);
+    return [action, ...lines, checkoutUrl ? `[Proceed to Checkout](${checkoutUrl})` : 'Your cart is empty.'].join('\n');
+  }
+
+  const products = findJson(text, '[', ']');
+  if (Array.isArray(products) && products.length > 0) {
+    const lines = products.slice(0, 5).map((p, i) => {
+      const price = p.price || p.variants?.[0]?.price || '';
+      const url = p.url ? ` - ${p.url}` : '';
+      return `${i + 1}. **${p.title}** - $${price}${url}`;
+    });
+    return ['Here is what I found:', ...lines, 'Say "add [product] to cart" to add any of these.'].join('\n');
+  }
+
+  return 'Sorry, I could not find any matching products. Try a different search term.';
+}
+
+function completion(body) {
+  const messages = Array.isArray(body.messages) ? body.messages : [];
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n');
+  const userMessages = messages.filter(m => m.role === 'user');
+  const lastUser = userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '';
+
+  const wantsJson = /json/i.test(system);
+  const content = wantsJson ? JSON.stringify(extractIntent(system, lastUser)) : formatReply(lastUser);
+  const promptTokens = Math.ceil(messages.map(m => String(m.content)).join(' ').length / 4);
+  const completionTokens = Math.ceil(content.length / 4);
+
+  return {
+    id: 'chatcmpl-mock',
+    object: 'chat.completion',
+    created: 0,
+    model: body.model || 'mock-intent',
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+  };
+}
+
+// ─── HTTP server ─────────────────────────────────────────
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+function createMockLlmServer() {
+  const latency = parseInt(process.env.MOCK_LLM_LATENCY_MS || '0', 10);
+
+  return http.createServer((req, res) => {
+    if (req.method === 'GET' && /\/models$/.test(req.url)) {
+      return sendJson(res, 200, { object: 'list', data: [{ id: 'mock-intent', object: 'model', owned_by: 'mock' }] });
+    }
+    if (req.method === 'GET' && req.url === '/healthz') {
+      return sendJson(res, 200, { status: 'ok' });
+    }
+    if (req.method !== 'POST' || !/\/chat\/completions$/.test(req.url.split('?')[0])) {
+      return sendJson(res, 404, { error: { message: `No route for ${req.method} ${req.url}` } });
+    }
+
+    let raw = '';
+    req.on('data', (chunk) => raw += chunk);
+    req.on('end', () => {
+      let body;
+      try {
+        body = JSON.parse(raw || '{}');
+      } catch (e) {
+        return sendJson(res, 400, { error: { message: 'Invalid JSON body' } });
+      }
+      const reply = completion(body);
+      setTimeout(() => sendJson(res, 200, reply), latency);
+    });
+  });
+}
+
+function startMockLlmServer(port = DEFAULT_PORT) {
+  return new Promise((resolve, reject) => {
+    const server = createMockLlmServer();
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => resolve(server));
+  });
+}
+
+module.exports = { createMockLlmServer, startMockLlmServer, extractIntent, formatReply };
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.MOCK_LLM_PORT || DEFAULT_PORT, 10);
+  startMockLlmServer(port).then((server) => {
+    console.log(`Mock LLM server listening on http://127.0.0.1:${server.address().port}/v1`);
+  }).catch((e) => {
+    console.error(`Failed to start mock LLM server: ${e.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,589 @@
+/**
+ * Mock Shopify Server (Storefront GraphQL + Admin REST)
+ *
+ * A local stand-in for the-fashion-company-3.myshopify.com, backed by
+ * fixtures/catalog.json, so the test suites can run without the live store.
+ *
+ * Endpoints:
+ *   POST /api/{version}/graphql.json             Storefront GraphQL: products search and paging,
+ *                                                cartCreate, cartLinesAdd/Update/Remove,
+ *                                                cart(id), node(id), product(handle), shop
+ *   GET  /admin/api/{version}/products.json      Admin REST products (limit, since_id,
+ *                                                ids, handle, product_type, status,
+ *                                                updated_at_min, page_info Link header)
+ *   GET  /search/suggest.json?q=...              Predictive search (product resources)
+ *   GET  /cart/{variantId}:{qty},...             Cart permalink, redirects to checkout
+ *   GET  /products/{handle}, /checkouts/...      Plain HTML pages for link checks
+ *
+ * GraphQL is matched by operation name rather than parsed, and responses
+ * include every field the workflows ask for (extra fields are harmless).
+ *
+ * Latency and error injection (env vars or createMockShopifyServer options):
+ *   MOCK_SHOPIFY_LATENCY_MS    fixed delay per request (latencyMs)
+ *   MOCK_SHOPIFY_JITTER_MS     extra random delay up to this value (jitterMs)
+ *   MOCK_SHOPIFY_ERROR_RATE    0..1 share of requests that fail (errorRate)
+ *   MOCK_SHOPIFY_ERROR_STATUS  status for injected failures, default 503 (errorStatus)
+ *   MOCK_SHOPIFY_FAIL_EVERY    fail every Nth request, deterministic (failEvery)
+ * Per request: "X-Mock-Status: 429" forces a status, "X-Mock-Latency: 500" a delay.
+ *
+ * Usage:
+ *   node mock-shopify-server.js [port]     # default 8788, or MOCK_SHOPIFY_PORT
+ *   SHOPIFY_STORE=http://127.0.0.1:8788 node test-shopify-stress.js
+ *   SHOPIFY_STORE=mock node test-shopify-stress.js   # starts it in-process
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PORT = 8788;
+const DEFAULT_CATALOG = path.join(__dirname, 'fixtures', 'catalog.json');
+
+function loadCatalog(file = DEFAULT_CATALOG) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// ─── Helpers ─────────────────────────────────────────────
+const money = (amount, currencyCode) => ({ amount: Number(amount).toFixed(2), currencyCode });
+const productGid = (id) => `gid://shopify/Product/${id}`;
+const variantGid = (id) => `gid://shopify/ProductVariant/${id}`;
+const numericId = (gid) => String(gid || '').split('/').pop().split('?')[0];
+
+function stem(word) {
+  return word.replace(/(ss|sh|ch|x)es$/, '$1').replace(/([^s])s$/, '$1');
+}
+
+function searchText(p) {
+  return [p.title, p.product_type, p.tags, p.vendor, (p.body_html || '').replace(/<[^>]*>/g, '')]
+    .join(' ').toLowerCase();
+}
+
+// Shopify-like search syntax: free terms (AND, prefix match), field:value
+// for title/product_type/tag/vendor, variants.price:>=N / <=N,
+// updated_at:>='ISO date', available_for_sale:true, OR between terms and (…) for grouping
+const COMPARE = { '>=': (a, b) => a >= b, '<=': (a, b) => a <= b, '>': (a, b) => a > b, '<': (a, b) => a < b, '': (a, b) => a === b };
+
+function matchesTerm(p, words, token) {
+  const price = token.match(/^variants\.price:(>=|<=|>|<|)(\d+(?:\.\d+)?)$/i);
+  if (price) return p.variants.some(v => COMPARE[price[1]](Number(v.price), Number(price[2])));
+  const updated = token.match(/^updated_at:(>=|<=|>|<|)["']?([^"']+)["']?$/i);
+  if (updated) return COMPARE[updated[1]](Date.parse(p.updated_at), Date.parse(updated[2]));
+  const available = token.match(/^available_for_sale:(true|false)$/i);
+  if (available) return p.variants.some(v => v.inventory_quantity > 0) === (available[1].toLowerCase() === 'true');
+  const field = token.match(/^(title|product_type|tag|vendor):(.+)$/i);
+  if (field) {
+    const value = field[2].replace(/^["']|["']$/g, '').toLowerCase();
+    const key = field[1].toLowerCase();
+    if (key === 'tag') return p.tags.toLowerCase().split(/\s*,\s*/).includes(value);
+    const source = key === 'title' ? p.title : key === 'vendor' ? p.vendor : p.product_type;
+    return source.toLowerCase().includes(value);
+  }
+  const term = stem(token.toLowerCase().replace(/[^a-z0-9]/g, ''));
+  return !term || words.some(w => w.startsWith(term));
+}
+
+function matchesQuery(p, query) {
+  const tokens = String(query || '').match(/[()]|[\w.]+:"[^"]*"|[^\s()]+/g) || [];
+  if (tokens.length === 0) return true;
+  const words = searchText(p).split(/[^a-z0-9]+/).filter(Boolean).map(stem);
+  let pos = 0;
+  // expression := group (OR group)* ; group := (term | "(" expression ")")+
+  const expression = () => {
+    let result = group();
+    while (tokens[pos] === 'OR') {
+      pos++;
+      result = group() || result;
+    }
+    return result;
+  };
+  const group = () => {
+    let result = true;
+    while (pos < tokens.length && tokens[pos] !== ')' && tokens[pos] !== 'OR') {
+      const token = tokens[pos++];
+      let matched;
+      if (token === '(') {
+        matched = expression();
+        if (tokens[pos] === ')') pos++;
+      } else {
+        matched = matchesTerm(p, words, token);
+      }
+      result = result && matched;
+    }
+    return result;
+  };
+  return expression();
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+function selectedOptions(p, v) {
+  return p.options
+    .map((option, i) => ({ name: option.name, value: v[`option${i + 1}`] }))
+    .filter(option => option.value !== null && option.value !== undefined);
+}
+
+// ─── Storefront shapes ───────────────────────────────────
+function toStorefrontVariant(p, v, currency) {
+  return {
+    id: variantGid(v.id),
+    title: v.title,
+    sku: v.sku,
+    availableForSale: v.inventory_quantity > 0,
+    quantityAvailable: v.inventory_quantity,
+    price: money(v.price, currency),
+    priceV2: money(v.price, currency),
+    compareAtPrice: v.compare_at_price ? money(v.compare_at_price, currency) : null,
+    selectedOptions: selectedOptions(p, v),
+    image: p.images[0] ? { url: p.images[0].src, altText: p.images[0].alt } : null,
+    product: { id: productGid(p.id), title: p.title, handle: p.handle },
+  };
+}
+
+function toStorefrontProduct(p, currency, origin) {
+  const prices = p.variants.map(v => Number(v.price));
+  const variants = p.variants.map(v => toStorefrontVariant(p, v, currency));
+  const images = p.images.map(image => ({ url: image.src, altText: image.alt }));
+  return {
+    id: productGid(p.id),
+    title: p.title,
+    handle: p.handle,
+    description: (p.body_html || '').replace(/<[^>]*>/g, ''),
+    descriptionHtml: p.body_html,
+    productType: p.product_type,
+    vendor: p.vendor,
+    tags: p.tags.split(/\s*,\s*/).filter(Boolean),
+    availableForSale: variants.some(v => v.availableForSale),
+    onlineStoreUrl: `${origin}/products/${p.handle}`,
+    createdAt: p.created_at,
+    updatedAt: p.updated_at,
+    featuredImage: images[0] || null,
+    images: { edges: images.map(node => ({ node })) },
+    options: p.options.map(option => ({ name: option.name, values: option.values })),
+    priceRange: {
+      minVariantPrice: money(Math.min(...prices), currency),
+      maxVariantPrice: money(Math.max(...prices), currency),
+    },
+    variants: { edges: variants.map(node => ({ node })) },
+  };
+}
+
+// ─── Server ──────────────────────────────────────────────
+function createMockShopifyServer(options = {}) {
+  const env = process.env;
+  const config = {
+    catalog: options.catalog || loadCatalog(options.catalogFile),
+    latencyMs: options.latencyMs ?? parseInt(env.MOCK_SHOPIFY_LATENCY_MS || '0', 10),
+    jitterMs: options.jitterMs ?? parseInt(env.MOCK_SHOPIFY_JITTER_MS || '0', 10),
+    errorRate: options.errorRate ?? parseFloat(env.MOCK_SHOPIFY_ERROR_RATE || '0'),
+    errorStatus: options.errorStatus ?? parseInt(env.MOCK_SHOPIFY_ERROR_STATUS || '503', 10),
+    failEvery: options.failEvery ?? parseInt(env.MOCK_SHOPIFY_FAIL_EVERY || '0', 10),
+  };
+  const { shop } = config.catalog;
+  const currency = shop.currencyCode;
+  const products = config.catalog.products;
+  const published = () => products.filter(p => p.status === 'active');
+
+  const carts = new Map();
+  let cartCounter = 0;
+  let lineCounter = 0;
+  let requestCounter = 0;
+
+  const findVariant = (gid) => {
+    const id = Number(numericId(gid));
+    for (const p of products) {
+      const v = p.variants.find(variant => variant.id === id);
+      if (v) return { p, v };
+    }
+    return null;
+  };
+
+  // ─── Cart state ──────────────────────────────────────
+  function cartPayload(cart, origin) {
+    const lines = cart.lines.map(line => {
+      const { p, v } = findVariant(line.merchandiseId);
+      const merchandise = toStorefrontVariant(p, v, currency);
+      return {
+        id: line.id,
+        quantity: line.quantity,
+        merchandise,
+        cost: {
+          amountPerQuantity: money(v.price, currency),
+          totalAmount: money(Number(v.price) * line.quantity, currency),
+        },
+      };
+    });
+    const subtotal = cart.lines.reduce((sum, line) => sum + Number(findVariant(line.merchandiseId).v.price) * line.quantity, 0);
+    return {
+      id: cart.id,
+      checkoutUrl: `${origin}/cart/c/${cart.token}?key=${cart.key}`,
+      createdAt: cart.createdAt,
+      totalQuantity: cart.lines.reduce((sum, line) => sum + line.quantity, 0),
+      lines: { edges: lines.map(node => ({ node })) },
+      cost: {
+        subtotalAmount: money(subtotal, currency),
+        totalTaxAmount: null,
+        totalDutyAmount: null,
+        totalAmount: money(subtotal, currency),
+      },
+    };
+  }
+
+  function addLines(cart, lines, userErrors) {
+    (lines || []).forEach((input, i) => {
+      const found = findVariant(input.merchandiseId);
+      const quantity = input.quantity === undefined ? 1 : Number(input.quantity);
+      if (!found) {
+        userErrors.push({ field: ['lines', String(i), 'merchandiseId'], message: `The merchandise with id ${input.merchandiseId} does not exist.`, code: 'INVALID' });
+        return;
+      }
+      if (!found.v.inventory_quantity || found.v.inventory_quantity <= 0) {
+        userErrors.push({ field: ['lines', String(i), 'merchandiseId'], message: `The product '${found.p.title}' is already sold out.`, code: 'MERCHANDISE_OUT_OF_STOCK' });
+        return;
+      }
+      const existing = cart.lines.find(line => line.merchandiseId === variantGid(found.v.id));
+      if (existing) {
+        existing.quantity += quantity;
+      } else {
+        lineCounter++;
+        cart.lines.push({ id: `gid://shopify/CartLine/${lineCounter}?cart=${cart.token}`, merchandiseId: variantGid(found.v.id), quantity });
+      }
+    });
+  }
+
+  function getCart(id) {
+    return carts.get(String(id || '')) || null;
+  }
+
+  function cartMutation(name, variables, origin) {
+    const userErrors = [];
+    if (name === 'cartCreate') {
+      cartCounter++;
+      const token = `mock${String(cartCounter).padStart(6, '0')}`;
+      const cart = { id: `gid://shopify/Cart/${token}?key=k${cartCounter}`, token, key: `k${cartCounter}`, lines: [], createdAt: new Date().toISOString() };
+      const input = variables.input || {};
+      const lines = input.lines || variables.lines ||
+        (variables.variantId || variables.merchandiseId ? [{ merchandiseId: variables.variantId || variables.merchandiseId, quantity: variables.quantity }] : []);
+      addLines(cart, lines, userErrors);
+      carts.set(cart.id, cart);
+      return { cart: cartPayload(cart, origin), userErrors };
+    }
+
+    const cart = getCart(variables.cartId);
+    if (!cart) {
+      return { cart: null, userErrors: [{ field: ['cartId'], message: 'The specified cart does not exist.', code: 'INVALID' }] };
+    }
+    if (name === 'cartLinesAdd') {
+      addLines(cart, variables.lines, userErrors);
+    } else if (name === 'cartLinesUpdate') {
+      (variables.lines || []).forEach((update, i) => {
+        const line = cart.lines.find(l => l.id === update.id);
+        if (!line) {
+          userErrors.push({ field: ['lines', String(i), 'id'], message: `The merchandise line with id ${update.id} does not exist.`, code: 'INVALID' });
+        } else if (Number(update.quantity) <= 0) {
+          cart.lines = cart.lines.filter(l => l !== line);
+        } else {
+          line.quantity = Number(update.quantity);
+        }
+      });
+    } else if (name === 'cartLinesRemove') {
+      (variables.lineIds || []).forEach((lineId, i) => {
+        if (!cart.lines.some(l => l.id === lineId)) {
+          userErrors.push({ field: ['lineIds', String(i)], message: `The merchandise line with id ${lineId} does not exist.`, code: 'INVALID' });
+        }
+      });
+      cart.lines = cart.lines.filter(l => !(variables.lineIds || []).includes(l.id));
+    }
+    return { cart: cartPayload(cart, origin), userErrors };
+  }
+
+  // ─── GraphQL dispatch ────────────────────────────────
+  // Arguments come from variables ($name) or inline literals
+  const inlineArg = (query, field, arg) => {
+    const match = query.match(new RegExp(`${field}\\s*\\([^)]*\\b${arg}\\s*:\\s*("([^"]*)"|(\\d+))`));
+    return match ? (match[2] !== undefined ? match[2] : Number(match[3])) : undefined;
+  };
+  const variableArg = (query, variables, field, arg) => {
+    const match = query.match(new RegExp(`${field}\\s*\\([^)]*\\b${arg}\\s*:\\s*\\$(\\w+)`));
+    return match ? variables[match[1]] : undefined;
+  };
+  const argument = (query, variables, field, arg) => {
+    const fromVariable = variableArg(query, variables, field, arg);
+    return fromVariable !== undefined ? fromVariable : inlineArg(query, field, arg);
+  };
+
+  function graphql(body, origin) {
+    const query = String(body.query || '');
+    const variables = body.variables || {};
+    const data = {};
+
+    for (const name of ['cartCreate', 'cartLinesAdd', 'cartLinesUpdate', 'cartLinesRemove']) {
+      if (new RegExp(`\\b${name}\\s*\\(`).test(query)) {
+        data[name] = cartMutation(name, variables, origin);
+      }
+    }
+    if (/(^|[{\s])cart\s*\(\s*id\s*:/.test(query)) {
+      const cart = getCart(argument(query, variables, 'cart', 'id'));
+      data.cart = cart ? cartPayload(cart, origin) : null;
+    }
+    if (/(^|[{\s])products\s*\(/.test(query)) {
+      const q = argument(query, variables, 'products', 'query');
+      const first = Number(argument(query, variables, 'products', 'first') || 10);
+      // Cursors are base64 product ids; pages follow id order
+      const after = argument(query, variables, 'products', 'after');
+      const afterId = after ? Number(Buffer.from(String(after), 'base64').toString()) || 0 : 0;
+      const all = published().filter(p => p.id > afterId && matchesQuery(p, q)).sort((a, b) => a.id - b.id);
+      const edges = all.slice(0, first).map(p => ({ cursor: Buffer.from(String(p.id)).toString('base64'), node: toStorefrontProduct(p, currency, origin) }));
+      data.products = {
+        edges,
+        pageInfo: { hasNextPage: all.length > first, endCursor: edges.length ? edges[edges.length - 1].cursor : null },
+      };
+    }
+    // Typo-tolerant suggestions: catalog words within two edits of a query word
+    const included = query.match(/predictiveSearch\s*\([^)]*\)\s*@include\s*\(\s*if\s*:\s*\$(\w+)/);
+    if (/(^|[{\s])predictiveSearch\s*\(/.test(query) && (!included || variables[included[1]])) {
+      const term = String(argument(query, variables, 'predictiveSearch', 'query') || '').toLowerCase();
+      const limit = Number(argument(query, variables, 'predictiveSearch', 'limit') || 10);
+      const near = (word) => term.split(/[^a-z0-9]+/).some(t => t.length >= 4 && editDistance(stem(t), stem(word)) <= 2);
+      const hits = published().filter(p => p.title.toLowerCase().split(/[^a-z0-9]+/).some(near));
+      const queries = [...new Set(hits.flatMap(p => p.title.toLowerCase().split(/[^a-z0-9]+/).filter(near)))];
+      data.predictiveSearch = {
+        queries: queries.slice(0, limit).map(text => ({ text })),
+        products: hits.slice(0, limit).map(p => ({ title: p.title })),
+      };
+    }
+    if (/(^|[{\s])node\s*\(\s*id\s*:/.test(query)) {
+      const id = String(argument(query, variables, 'node', 'id') || '');
+      const variant = id.includes('ProductVariant') ? findVariant(id) : null;
+      const product = id.includes('/Product/') ? published().find(p => String(p.id) === numericId(id)) : null;
+      data.node = variant ? toStorefrontVariant(variant.p, variant.v, currency)
+        : product ? toStorefrontProduct(product, currency, origin) : null;
+    }
+    if (/(^|[{\s])product\s*\(\s*handle\s*:/.test(query)) {
+      const handle = argument(query, variables, 'product', 'handle');
+      const product = published().find(p => p.handle === handle);
+      data.product = product ? toStorefrontProduct(product, currency, origin) : null;
+    }
+    if (/(^|[{\s])shop\s*\{/.test(query)) {
+      data.shop = { name: shop.name, primaryDomain: { host: shop.domain, url: `https://${shop.domain}` }, paymentSettings: { currencyCode: currency } };
+    }
+
+    if (Object.keys(data).length === 0) {
+      return { status: 200, payload: { errors: [{ message: 'Mock Shopify server does not support this operation', extensions: { code: 'UNSUPPORTED' } }] } };
+    }
+    return { status: 200, payload: { data } };
+  }
+
+  // ─── Admin REST ──────────────────────────────────────
+  function adminProducts(url, origin) {
+    let params = url.searchParams;
+    const limit = Math.min(parseInt(params.get('limit') || '50', 10), 250);
+
+    // Like Shopify's, the page_info cursor carries the first request's filters
+    const pageInfo = params.get('page_info');
+    let offset = 0;
+    if (pageInfo) {
+      let cursor;
+      try {
+        cursor = JSON.parse(Buffer.from(pageInfo, 'base64').toString());
+      } catch {
+        return { status: 400, payload: { errors: { page_info: ['Invalid value.'] } } };
+      }
+      offset = cursor.offset || 0;
+      params = new URLSearchParams(cursor.filters || '');
+    }
+
+    let list = [...products].sort((a, b) => a.id - b.id);
+    const ids = params.get('ids');
+    if (ids) list = list.filter(p => ids.split(',').map(Number).includes(p.id));
+    if (params.get('since_id')) list = list.filter(p => p.id > Number(params.get('since_id')));
+    if (params.get('handle')) list = list.filter(p => params.get('handle').split(',').includes(p.handle));
+    if (params.get('product_type')) list = list.filter(p => p.product_type.toLowerCase() === params.get('product_type').toLowerCase());
+    if (params.get('title')) list = list.filter(p => p.title.toLowerCase().includes(params.get('title').toLowerCase()));
+    if (params.get('status')) list = list.filter(p => params.get('status').split(',').includes(p.status));
+    if (params.get('updated_at_min')) list = list.filter(p => new Date(p.updated_at) >= new Date(params.get('updated_at_min')));
+
+    const page = list.slice(offset, offset + limit);
+    const headers = {};
+    if (offset + limit < list.length) {
+      const filters = new URLSearchParams(params);
+      filters.delete('limit');
+      filters.delete('page_info');
+      const next = Buffer.from(JSON.stringify({ offset: offset + limit, filters: filters.toString() })).toString('base64');
+      headers.Link = `<${origin}${url.pathname}?limit=${limit}&page_info=${encodeURIComponent(next)}>; rel="next"`;
+    }
+    const payload = {
+      products: page.map(p => ({ ...p, admin_graphql_api_id: productGid(p.id), image: p.images[0] || null })),
+    };
+    return { status: 200, payload, headers };
+  }
+
+  function suggest(url, origin) {
+    const q = url.searchParams.get('q') || '';
+    const limit = parseInt(url.searchParams.get('resources[limit]') || '10', 10);
+    const matches = published().filter(p => matchesQuery(p, q)).slice(0, limit);
+    return {
+      status: 200,
+      payload: {
+        resources: {
+          results: {
+            products: matches.map(p => {
+              const prices = p.variants.map(v => Number(v.price));
+              return {
+                id: p.id,
+                title: p.title,
+                handle: p.handle,
+                body: p.body_html,
+                type: p.product_type,
+                vendor: p.vendor,
+                tags: p.tags.split(/\s*,\s*/).filter(Boolean),
+                available: p.variants.some(v => v.inventory_quantity > 0),
+                price: Math.min(...prices).toFixed(2),
+                price_min: Math.min(...prices).toFixed(2),
+                price_max: Math.max(...prices).toFixed(2),
+                url: `/products/${p.handle}?_pos=1&_sid=mock&_ss=r`,
+                image: p.images[0] ? p.images[0].src : null,
+                featured_image: p.images[0] ? { url: p.images[0].src, alt: p.images[0].alt } : null,
+              };
+            }),
+          },
+        },
+      },
+    };
+  }
+
+  // ─── Request handling ────────────────────────────────
+  function route(req, url, body, origin) {
+    const pathname = url.pathname;
+
+    if (req.method === 'POST' && /^\/api\/[\w-]+\/graphql\.json$/.test(pathname)) {
+      let parsed;
+      try {
+        parsed = JSON.parse(body || '{}');
+      } catch {
+        return { status: 400, payload: { errors: [{ message: 'Invalid JSON body' }] } };
+      }
+      return graphql(parsed, origin);
+    }
+
+    if (req.method === 'GET' && /^\/admin\/api\/[\w-]+\/products\.json$/.test(pathname)) {
+      if (!req.headers['x-shopify-access-token'] && !req.headers.authorization) {
+        return { status: 401, payload: { errors: '[API] Invalid API key or access token (unrecognized login or wrong password)' } };
+      }
+      return adminProducts(url, origin);
+    }
+
+    if (req.method === 'GET' && pathname === '/search/suggest.json') {
+      return suggest(url, origin);
+    }
+
+    const permalink = pathname.match(/^\/cart\/([\d:,]+)$/);
+    if (permalink && (req.method === 'GET' || req.method === 'HEAD')) {
+      const known = permalink[1].split(',').every(part => findVariant(part.split(':')[0]));
+      if (!known) return { status: 404, html: '<h1>Cart item not found</h1>' };
+      return { status: 302, headers: { Location: `${origin}/checkouts/cn/mock-${permalink[1].replace(/[:,]/g, '-')}` } };
+    }
+
+    if ((req.method === 'GET' || req.method === 'HEAD') && /^\/(checkouts|cart\/c)\//.test(pathname)) {
+      return { status: 200, html: '<h1>Checkout</h1><p>Mock Shopify checkout</p>' };
+    }
+
+    const productPage = pathname.match(/^\/products\/([\w-]+)$/);
+    if (productPage && (req.method === 'GET' || req.method === 'HEAD')) {
+      const product = published().find(p => p.handle === productPage[1]);
+      return product
+        ? { status: 200, html: `<h1>${product.title}</h1>${product.body_html}` }
+        : { status: 404, html: '<h1>Page not found</h1>' };
+    }
+
+    if (req.method === 'GET' && pathname === '/healthz') {
+      return { status: 200, payload: { status: 'ok', shop: shop.name } };
+    }
+
+    return { status: 404, payload: { errors: 'Not Found' } };
+  }
+
+  function injectedStatus(req) {
+    requestCounter++;
+    if (req.headers['x-mock-status']) return parseInt(req.headers['x-mock-status'], 10);
+    if (config.failEvery > 0 && requestCounter % config.failEvery === 0) return config.errorStatus;
+    if (config.errorRate > 0 && Math.random() < config.errorRate) return config.errorStatus;
+    return null;
+  }
+
+  function send(res, req, result) {
+    const headers = { ...(result.headers || {}) };
+    let body = '';
+    if (result.html !== undefined) {
+      headers['Content-Type'] = 'text/html; charset=utf-8';
+      body = result.html;
+    } else if (result.payload !== undefined) {
+      headers['Content-Type'] = 'application/json; charset=utf-8';
+      body = JSON.stringify(result.payload);
+    }
+    res.writeHead(result.status, headers);
+    res.end(req.method === 'HEAD' ? undefined : body);
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => body += chunk);
+    req.on('end', () => {
+      const origin = `http://${req.headers.host || `127.0.0.1:${DEFAULT_PORT}`}`;
+      const url = new URL(req.url, origin);
+      const forcedLatency = parseInt(req.headers['x-mock-latency'] || '', 10);
+      const delay = Number.isNaN(forcedLatency)
+        ? config.latencyMs + (config.jitterMs > 0 ? Math.floor(Math.random() * config.jitterMs) : 0)
+        : forcedLatency;
+
+      const status = injectedStatus(req);
+      let result;
+      if (status) {
+        const message = status === 429 ? 'Exceeded 2 calls per second for api client. Reduce request rates to resume uninterrupted service.' : 'Internal Server Error (injected by mock)';
+        const isGraphql = url.pathname.endsWith('graphql.json');
+        result = {
+          status,
+          headers: status === 429 ? { 'Retry-After': '1' } : {},
+          payload: isGraphql ? { errors: [{ message, extensions: { code: status === 429 ? 'THROTTLED' : 'INTERNAL_SERVER_ERROR' } }] } : { errors: message },
+        };
+      } else {
+        result = route(req, url, body, origin);
+      }
+      setTimeout(() => send(res, req, result), delay);
+    });
+  });
+
+  server.carts = carts;
+  return server;
+}
+
+function startMockShopifyServer(port = DEFAULT_PORT, options = {}) {
+  return new Promise((resolve, reject) => {
+    const server = createMockShopifyServer(options);
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => resolve(server));
+  });
+}
+
+module.exports = { createMockShopifyServer, startMockShopifyServer, loadCatalog, matchesQuery };
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.MOCK_SHOPIFY_PORT || DEFAULT_PORT, 10);
+  startMockShopifyServer(port).then((server) => {
+    console.log(`Mock Shopify server listening on http://127.0.0.1:${server.address().port}`);
+  }).catch((e) => {
+    console.error(`Failed to start mock Shopify server: ${e.message}`);
+    process.exit(1);
+  });
+}
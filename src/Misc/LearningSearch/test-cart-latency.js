@@ -2,21 +2,25 @@
  * Cart & Checkout Latency Test
  *
  * Tests the latency of cart-related operations:
- * 1. Groq intent extraction for cart operations
+ * 1. LLM intent extraction for cart operations (provider from test-config.js)
  * 2. Cart permalink URL generation (local, instant)
  * 3. Shopify cart permalink validation (HTTP HEAD to check URL accessibility)
  *
  * Similar to test-shopify-stress.js but focused on cart/checkout flow.
  *
  * Usage: node test-cart-latency.js
+ *        LLM_PROVIDER=mock node test-cart-latency.js   # intent part offline
+ *        LLM_PROVIDER=mock SHOPIFY_STORE=mock node test-cart-latency.js   # fully offline
  */
 
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
+const {
+  LLM, llmRequest, startLlm, describeLlm, startShopify, shopifyUrl, describeShopify,
+} = require('./test-config');
 
-const SHOPIFY_STORE = process.env.SHOPIFY_STORE || 'the-fashion-company-3.myshopify.com';
-const GROQ_API_KEY = process.env.GROQ_API_KEY || '';
 const RESULTS_FILE = path.join(__dirname, 'cart-latency-results.json');
 
 const BOLD = '\x1b[1m';
@@ -80,7 +84,8 @@ function timedHttpsRequest(url, options = {}) {
   return new Promise((resolve) => {
     const startTime = Date.now();
 
-    const req = https.request(url, {
+    const lib = url.startsWith('https') ? https : http;
+    const req = lib.request(url, {
       method: options.method || 'GET',
       headers: options.headers || {},
       timeout: 30000,
@@ -131,14 +136,19 @@ function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
 // ─── Main test runner ────────────────────────────────────
 async function main() {
+  await startLlm();
+  await startShopify();
+
   console.log('='.repeat(64));
   console.log(`  ${BOLD}Cart & Checkout Latency Test${RESET}`);
-  console.log(`  Store: ${SHOPIFY_STORE}`);
+  console.log(`  Store: ${describeShopify()}`);
+  console.log(`  LLM: ${describeLlm()}`);
   console.log(`  Queries: ${CART_QUERIES.length}`);
   console.log(`  Output: ${RESULTS_FILE}`);
   console.log('='.repeat(64));
   console.log();
 
+
   const results = [];
   let rateLimitWaits = 0;
 
@@ -149,25 +159,14 @@ async function main() {
     const q = CART_QUERIES[i];
     process.stdout.write(`\r  ${DIM}${progressBar(i + 1, CART_QUERIES.length)}${RESET}  ${q.input.slice(0, 40).padEnd(40)}`);
 
-    const resp = await timedHttpsRequest('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${GROQ_API_KEY}`,
+    const llm = llmRequest([
+      {
+        role: 'system',
+        content: `Extract customer intent for an e-commerce cart. Return JSON only: { "intent": "add_to_cart|remove_from_cart|view_cart|checkout|clear_cart|search", "product_reference": "product name or null" }`
       },
-      body: JSON.stringify({
-        model: 'llama-3.1-8b-instant',
-        messages: [
-          {
-            role: 'system',
-            content: `Extract customer intent for an e-commerce cart. Return JSON only: { "intent": "add_to_cart|remove_from_cart|view_cart|checkout|clear_cart|search", "product_reference": "product name or null" }`
-          },
-          { role: 'user', content: q.input }
-        ],
-        temperature: 0.3,
-        max_tokens: 100
-      })
-    });
+      { role: 'user', content: q.input }
+    ], { temperature: 0.3, max_tokens: 100 });
+    const resp = await timedHttpsRequest(llm.url, llm.options);
 
     let extractedIntent = null;
     let intentCorrect = false;
@@ -225,7 +224,7 @@ async function main() {
 
     const start = Date.now();
     const parts = cart.map(item => `${item.variantId}:${item.quantity}`);
-    const url = `https://${SHOPIFY_STORE}/cart/${parts.join(',')}`;
+    const url = shopifyUrl(`/cart/${parts.join(',')}`);
     const elapsed = Date.now() - start;
 
     urlGenResults.push({
@@ -243,7 +242,7 @@ async function main() {
 
   for (let i = 0; i < 5; i++) {
     const variant = testVariantIds[i % testVariantIds.length];
-    const url = `https://${SHOPIFY_STORE}/cart/${variant}:1`;
+    const url = shopifyUrl(`/cart/${variant}:1`);
 
     process.stdout.write(`\r  ${DIM}Testing: ${url.slice(0, 60)}...${RESET}`);
 
@@ -368,7 +367,8 @@ async function main() {
   // ─── Write results to file ─────────────────────────────
   const output = {
     timestamp: new Date().toISOString(),
-    store: SHOPIFY_STORE,
+    store: describeShopify(),
+    llm: { provider: LLM.provider, model: LLM.model },
     statistics: stats,
     groqResults: results,
     urlGenerationResults: urlGenResults,
@@ -0,0 +1,122 @@
+/**
+ * Shared configuration for the LearningSearch test suites.
+ *
+ * The LLM provider is read from the environment so the suites can run
+ * against Groq, OpenAI, Anthropic or any OpenAI-compatible server:
+ *
+ *   LLM_PROVIDER     groq (default) | openai | anthropic | local | mock
+ *   LLM_BASE_URL     Base URL ending in /v1, overrides the provider default
+ *   LLM_MODEL        Model name, overrides the provider default
+ *   LLM_API_KEY      API key (falls back to GROQ_API_KEY, OPENAI_API_KEY, ...)
+ *   LLM_AUTH_HEADER  Header carrying the key (default: Authorization)
+ *   LLM_AUTH_SCHEME  Prefix for the key (default: Bearer, empty for none)
+ *   LLM_TEMPERATURE  Overrides the temperature each test asks for
+ *   LLM_MAX_TOKENS   Overrides the max_tokens each test asks for
+ *
+ * LLM_PROVIDER=mock starts mock-llm-server.js in-process, so the LLM
+ * checks run offline with deterministic answers.
+ *
+ * The Shopify store comes from SHOPIFY_STORE, which may be:
+ *   - a shop domain (default the-fashion-company-3.myshopify.com), used over https
+ *   - a full base URL such as http://127.0.0.1:8788 (mock-shopify-server.js)
+ *   - "mock", which starts mock-shopify-server.js in-process
+ *
+ * Usage: const { llmRequest, startLlm, shopifyUrl, startShopify } = require('./test-config');
+ */
+
+const PROVIDERS = {
+  groq: { baseUrl: 'https://api.groq.com/openai/v1', model: 'llama-3.1-8b-instant', keyEnv: 'GROQ_API_KEY' },
+  openai: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini', keyEnv: 'OPENAI_API_KEY' },
+  anthropic: { baseUrl: 'https://api.anthropic.com/v1', model: 'claude-3-5-haiku-latest', keyEnv: 'ANTHROPIC_API_KEY' },
+  local: { baseUrl: 'http://127.0.0.1:8787/v1', model: 'mock-intent', keyEnv: null },
+  mock: { baseUrl: null, model: 'mock-intent', keyEnv: null },
+};
+
+const providerName = (process.env.LLM_PROVIDER || 'groq').toLowerCase();
+const provider = PROVIDERS[providerName];
+if (!provider) {
+  throw new Error(`Unknown LLM_PROVIDER "${providerName}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+}
+
+const LLM = {
+  provider: providerName,
+  baseUrl: (process.env.LLM_BASE_URL || provider.baseUrl || '').replace(/\/+$/, ''),
+  model: process.env.LLM_MODEL || provider.model,
+  apiKey: process.env.LLM_API_KEY || (provider.keyEnv && process.env[provider.keyEnv]) || '',
+  authHeader: process.env.LLM_AUTH_HEADER || 'Authorization',
+  authScheme: process.env.LLM_AUTH_SCHEME !== undefined ? process.env.LLM_AUTH_SCHEME : 'Bearer',
+  temperature: process.env.LLM_TEMPERATURE !== undefined ? Number(process.env.LLM_TEMPERATURE) : undefined,
+  maxTokens: process.env.LLM_MAX_TOKENS !== undefined ? Number(process.env.LLM_MAX_TOKENS) : undefined,
+};
+
+// Start the bundled mock server when LLM_PROVIDER=mock (no-op otherwise).
+// The server is unref'd so it never keeps a finished test run alive.
+async function startLlm() {
+  if (LLM.provider !== 'mock' || process.env.LLM_BASE_URL) return null;
+  const { startMockLlmServer } = require('./mock-llm-server');
+  const server = await startMockLlmServer(0);
+  server.unref();
+  LLM.baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  return server;
+}
+
+// Build the URL and request options for a chat completion. `defaults` holds
+// the temperature and max_tokens the test would use; LLM_* env vars win.
+function llmRequest(messages, defaults = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (LLM.apiKey) {
+    headers[LLM.authHeader] = LLM.authScheme ? `${LLM.authScheme} ${LLM.apiKey}` : LLM.apiKey;
+  }
+
+  const body = { model: LLM.model, messages };
+  const temperature = LLM.temperature !== undefined ? LLM.temperature : defaults.temperature;
+  const maxTokens = LLM.maxTokens !== undefined ? LLM.maxTokens : defaults.max_tokens;
+  if (temperature !== undefined) body.temperature = temperature;
+  if (maxTokens !== undefined) body.max_tokens = maxTokens;
+
+  return {
+    url: `${LLM.baseUrl}/chat/completions`,
+    options: { method: 'POST', headers, body: JSON.stringify(body) },
+  };
+}
+
+const storeSetting = process.env.SHOPIFY_STORE || 'the-fashion-company-3.myshopify.com';
+
+const SHOPIFY = {
+  mock: storeSetting === 'mock',
+  baseUrl: storeSetting === 'mock' ? null
+    : /^https?:\/\//.test(storeSetting) ? storeSetting.replace(/\/+$/, '') : `https://${storeSetting}`,
+  apiVersion: process.env.SHOPIFY_API_VERSION || '2024-04',
+  accessToken: process.env.SHOPIFY_ACCESS_TOKEN || '',
+  storefrontToken: process.env.SHOPIFY_STOREFRONT_TOKEN || '',
+};
+
+// Start the bundled mock store when SHOPIFY_STORE=mock (no-op otherwise)
+async function startShopify() {
+  if (!SHOPIFY.mock || SHOPIFY.baseUrl) return null;
+  const { startMockShopifyServer } = require('./mock-shopify-server');
+  const server = await startMockShopifyServer(0);
+  server.unref();
+  SHOPIFY.baseUrl = `http://127.0.0.1:${server.address().port}`;
+  if (!SHOPIFY.accessToken) SHOPIFY.accessToken = 'mock-admin-token';
+  if (!SHOPIFY.storefrontToken) SHOPIFY.storefrontToken = 'mock-storefront-token';
+  return server;
+}
+
+// Absolute URL for a store path, e.g. shopifyUrl('/search/suggest.json?q=shirt')
+function shopifyUrl(urlPath) {
+  return `${SHOPIFY.baseUrl}${urlPath}`;
+}
+
+function describeShopify() {
+  return SHOPIFY.mock ? `mock (${SHOPIFY.baseUrl || 'not started'})` : SHOPIFY.baseUrl.replace(/^https:\/\//, '');
+}
+
+function describeLlm() {
+  return `${LLM.provider} (${LLM.model} @ ${LLM.baseUrl || 'mock, not started'})`;
+}
+
+module.exports = {
+  LLM, PROVIDERS, startLlm, llmRequest, describeLlm,
+  SHOPIFY, startShopify, shopifyUrl, describeShopify,
+};
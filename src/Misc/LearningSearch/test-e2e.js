@@ -3,8 +3,8 @@
  *
  * Tests each component of the pipeline independently:
  * 1. n8n is running
- * 2. Groq API - query extraction
- * 3. Groq API - response formatting
+ * 2. LLM API - query extraction (Groq by default, see test-config.js)
+ * 3. LLM API - response formatting
  * 4. Shopify API - product search
  * 5. Context save/load logic (unit test)
  *
@@ -13,14 +13,15 @@
  * This script validates each API and logic component works correctly.
  *
  * Usage: node test-e2e.js
+ *        LLM_PROVIDER=mock node test-e2e.js   # LLM checks offline
  */
 
 const { randomUUID } = require('crypto');
 const https = require('https');
 const http = require('http');
+const { llmRequest, startLlm, describeLlm } = require('./test-config');
 
 const N8N_BASE = process.env.N8N_BASE || 'http://localhost:5678';
-const GROQ_API_KEY = process.env.GROQ_API_KEY || '';
 const SHOPIFY_STORE = process.env.SHOPIFY_STORE || 'the-fashion-company-3.myshopify.com';
 
 const PASS = '\x1b[92mPASS\x1b[0m';
@@ -83,25 +84,14 @@ async function testN8nRunning() {
 async function testGroqExtract() {
   console.log('\n─── Test 2: Groq API - Query Extraction ───');
   try {
-    const resp = await httpRequest('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${GROQ_API_KEY}`,
+    const llm = llmRequest([
+      {
+        role: 'system',
+        content: 'You are a query extraction assistant. Extract the product search intent. Return JSON: { "search_query": "term", "product_type": "type or null", "intent": "search" }. Only return JSON.'
       },
-      body: JSON.stringify({
-        model: 'llama-3.1-8b-instant',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a query extraction assistant. Extract the product search intent. Return JSON: { "search_query": "term", "product_type": "type or null", "intent": "search" }. Only return JSON.'
-          },
-          { role: 'user', content: 'Show me dresses' }
-        ],
-        temperature: 0.3,
-        max_tokens: 150
-      })
-    });
+      { role: 'user', content: 'Show me dresses' }
+    ], { temperature: 0.3, max_tokens: 150 });
+    const resp = await httpRequest(llm.url, llm.options);
 
     testResult('Groq API responds', resp.status === 200, `Status: ${resp.status}`);
 
@@ -129,28 +119,17 @@ async function testGroqExtract() {
 async function testGroqContextAware() {
   console.log('\n─── Test 3: Groq API - Context-Aware Query ───');
   try {
-    const resp = await httpRequest('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${GROQ_API_KEY}`,
+    const llm = llmRequest([
+      {
+        role: 'system',
+        content: 'You are a query extraction assistant. Consider conversation history. Return JSON: { "search_query": "term", "intent": "search|followup", "references_previous": true/false }. Only return JSON.'
       },
-      body: JSON.stringify({
-        model: 'llama-3.1-8b-instant',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a query extraction assistant. Consider conversation history. Return JSON: { "search_query": "term", "intent": "search|followup", "references_previous": true/false }. Only return JSON.'
-          },
-          {
-            role: 'user',
-            content: 'Current message: Tell me more about the first one\n\nConversation history:\nUser: Show me dresses\nAssistant: Here are some dresses: 1. Summer Floral Dress $49.99 2. Evening Gown $129.99\n\nPreviously discussed products:\n[Summer Floral Dress] $49.99 | /products/summer-floral | Type: Dress | Available: true'
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 200
-      })
-    });
+      {
+        role: 'user',
+        content: 'Current message: Tell me more about the first one\n\nConversation history:\nUser: Show me dresses\nAssistant: Here are some dresses: 1. Summer Floral Dress $49.99 2. Evening Gown $129.99\n\nPreviously discussed products:\n[Summer Floral Dress] $49.99 | /products/summer-floral | Type: Dress | Available: true'
+      }
+    ], { temperature: 0.3, max_tokens: 200 });
+    const resp = await httpRequest(llm.url, llm.options);
 
     testResult('Context-aware extraction responds', resp.status === 200);
 
@@ -185,28 +164,17 @@ async function testGroqFormat() {
       }
     ];
 
-    const resp = await httpRequest('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${GROQ_API_KEY}`,
+    const llm = llmRequest([
+      {
+        role: 'system',
+        content: 'You are a shopping assistant for The Fashion Company. Include product names, prices, and links. Format prices with $ sign. Number products for easy reference.'
       },
-      body: JSON.stringify({
-        model: 'llama-3.1-8b-instant',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a shopping assistant for The Fashion Company. Include product names, prices, and links. Format prices with $ sign. Number products for easy reference.'
-          },
-          {
-            role: 'user',
-            content: `Customer asked: Show me dresses\n\nProducts found (1 total):\n${JSON.stringify(mockProducts, null, 2)}`
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 500
-      })
-    });
+      {
+        role: 'user',
+        content: `Customer asked: Show me dresses\n\nProducts found (1 total):\n${JSON.stringify(mockProducts, null, 2)}`
+      }
+    ], { temperature: 0.7, max_tokens: 500 });
+    const resp = await httpRequest(llm.url, llm.options);
 
     testResult('Format response succeeds', resp.status === 200);
 
@@ -443,25 +411,14 @@ async function testCartIntentExtraction() {
 
   for (const q of cartIntents) {
     try {
-      const resp = await httpRequest('https://api.groq.com/openai/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${GROQ_API_KEY}`,
+      const llm = llmRequest([
+        {
+          role: 'system',
+          content: `Extract customer intent. Return JSON: { "intent": "search|add_to_cart|remove_from_cart|view_cart|checkout|clear_cart", "product_reference": "product name or null" }. Only return JSON.`
         },
-        body: JSON.stringify({
-          model: 'llama-3.1-8b-instant',
-          messages: [
-            {
-              role: 'system',
-              content: `Extract customer intent. Return JSON: { "intent": "search|add_to_cart|remove_from_cart|view_cart|checkout|clear_cart", "product_reference": "product name or null" }. Only return JSON.`
-            },
-            { role: 'user', content: q.input }
-          ],
-          temperature: 0.3,
-          max_tokens: 100
-        })
-      });
+        { role: 'user', content: q.input }
+      ], { temperature: 0.3, max_tokens: 100 });
+      const resp = await httpRequest(llm.url, llm.options);
 
       if (resp.status === 200) {
         const content = resp.body.choices[0].message.content;
@@ -505,9 +462,12 @@ async function testChatWebSocket() {
 
 // ─── Main ─────────────────────────────────────────────────
 async function main() {
+  await startLlm();
+
   console.log('═'.repeat(60));
   console.log('  E2E Component Test: Shopify Product Chat Workflow');
   console.log(`  n8n: ${N8N_BASE}`);
+  console.log(`  LLM: ${describeLlm()}`);
   console.log('═'.repeat(60));
 
   await testN8nRunning();
@@ -1,22 +1,27 @@
 /**
  * Shopify API Query Tests with Response Time Tracking
  *
- * Tests Shopify Admin API endpoints directly to verify:
- * 1. Fetching all products works
- * 2. Local filtering by title, type, tags matches correctly
- * 3. Response times for each query type
+ * Tests Shopify API endpoints directly to verify:
+ * 1. The Storefront catalog the workflow searches returns products, and no
+ *    drafts or archived ones
+ * 2. Local search (the workflow's ranked index) matches by title, type, tags,
+ *    option values, plurals, synonyms and typos, and applies price, type,
+ *    colour, size, stock and tag filters
+ * 3. The catalog cache pages through the catalog, refreshes incrementally,
+ *    applies product webhooks and keeps only public product fields
+ * 4. Response times for each query type
  *
  * Usage: node test-shopify-api.js
+ *        LLM_PROVIDER=mock SHOPIFY_STORE=mock node test-shopify-api.js   # offline
  */
 
+const fs = require('fs');
+const path = require('path');
 const https = require('https');
-
-const SHOPIFY_STORE = process.env.SHOPIFY_STORE || 'the-fashion-company-3.myshopify.com';
-const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-01';
-const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN || '';
-
-// Groq API for testing the full extraction pipeline
-const GROQ_API_KEY = process.env.GROQ_API_KEY || '';
+const http = require('http');
+const {
+  llmRequest, startLlm, describeLlm, SHOPIFY, startShopify, shopifyUrl, describeShopify,
+} = require('./test-config');
 
 const PASS = '\x1b[92mPASS\x1b[0m';
 const FAIL = '\x1b[91mFAIL\x1b[0m';
@@ -44,7 +49,8 @@ function recordTiming(label, ms) {
 function httpsRequest(url, options = {}) {
   return new Promise((resolve, reject) => {
     const startTime = Date.now();
-    const req = https.request(url, {
+    const lib = url.startsWith('https') ? https : http;
+    const req = lib.request(url, {
       method: options.method || 'GET',
       headers: options.headers || {},
       timeout: 30000,
@@ -69,59 +75,87 @@ function httpsRequest(url, options = {}) {
 
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
-// Local filtering logic (mirrors the n8n Merge & Format node)
+// Local filtering: runs the workflow's own Merge & Format Results node with the
+// upstream nodes stubbed, so these tests always cover the shipped search index
+const WORKFLOW_FILE = path.join(__dirname, 'shopify-product-chat-workflow-2.json');
+const mergeNodeCode = JSON.parse(fs.readFileSync(WORKFLOW_FILE, 'utf8'))
+  .nodes.find(n => n.name === 'Merge & Format Results').parameters.jsCode;
+
+// Cached products always have at least one variant
+const DEFAULT_VARIANT = { title: 'Default Title', price: '49.99', available: true };
+
+function searchProducts(products, searchQuery, filters = {}) {
+  const upstream = {
+    'Store Catalog': { products: products.map(p => ({ variants: [{ id: p.id * 10, ...DEFAULT_VARIANT }], ...p })) },
+    'Parse Query': { search_query: searchQuery, filters },
+    'Load Session Context': {},
+  };
+  const $ = (name) => ({ first: () => ({ json: upstream[name] }) });
+  const run = new Function('$', '$env', mergeNodeCode);
+  return run($, { SHOPIFY_STORE_DOMAIN: 'example.myshopify.com' })[0].json;
+}
+
+// Matching products, best first (the node returns the top 5)
 function filterProducts(products, searchQuery) {
-  const query = (searchQuery || '').toLowerCase();
-  const queryWords = query.split(/\s+/).filter(w => w.length > 1);
-
-  if (queryWords.length === 0) return products;
-
-  const scored = products.map(p => {
-    const text = [
-      p.title || '',
-      p.product_type || '',
-      p.tags || '',
-      p.vendor || '',
-      (p.body_html || '').replace(/<[^>]*>/g, '')
-    ].join(' ').toLowerCase();
-    const score = queryWords.filter(w => text.includes(w)).length;
-    return { product: p, score };
-  });
+  return searchProducts(products, searchQuery).products.map(found => products.find(p => p.id === found.id));
+}
 
-  const matched = scored.filter(s => s.score > 0).sort((a, b) => b.score - a.score);
-  return matched.length > 0 ? matched.map(s => s.product) : products;
+// One page of the catalog, with the query the workflow's Shopify - Fetch Products sends
+const fetchNode = JSON.parse(fs.readFileSync(WORKFLOW_FILE, 'utf8'))
+  .nodes.find(n => n.name === 'Shopify - Fetch Products').parameters;
+
+function storefrontRequest(variables) {
+  const body = JSON.parse(new Function('$json', `return ${fetchNode.jsonBody.replace(/^=\{\{|\}\}$/g, '')}`)({}));
+  return httpsRequest(shopifyUrl(`/api/${SHOPIFY.apiVersion}/graphql.json`), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Shopify-Storefront-Access-Token': SHOPIFY.storefrontToken },
+    body: JSON.stringify({ ...body, variables: { ...body.variables, ...variables } }),
+  });
 }
 
 // ─── Test 1: Fetch All Products ──────────────────────────
 async function testFetchAllProducts() {
   console.log(`\n${BOLD}─── Test 1: Fetch All Products ───${RESET}`);
   try {
-    const url = `https://${SHOPIFY_STORE}/admin/api/${SHOPIFY_API_VERSION}/products.json?limit=50`;
-    // Note: This requires OAuth authentication. We test via n8n proxy.
-    // Direct API test via Groq pipeline instead.
-    console.log(`  ${DIM}URL: ${url}${RESET}`);
+    // The workflow reads the catalog through the Storefront API, which only
+    // returns published products. Without a token (and no mock store) we only
+    // exercise the query extraction below.
+    if (SHOPIFY.storefrontToken) {
+      const storefrontStart = Date.now();
+      const storefront = await storefrontRequest({ first: 50 });
+      recordTiming('Storefront catalog page', Date.now() - storefrontStart);
+      const edges = storefront.body && storefront.body.data && storefront.body.data.products.edges;
+      testResult('Storefront catalog returns products',
+        storefront.status === 200 && Array.isArray(edges) && edges.length > 0,
+        `status: ${storefront.status}, products: ${edges ? edges.length : 0}`);
+
+      // Compare with the Admin API's drafts and archived products
+      if (SHOPIFY.accessToken && edges) {
+        const url = shopifyUrl(`/admin/api/${SHOPIFY.apiVersion}/products.json?limit=250&status=draft,archived`);
+        const admin = await httpsRequest(url, { headers: { 'X-Shopify-Access-Token': SHOPIFY.accessToken } });
+        const hidden = (admin.body.products || []).map(p => `gid://shopify/Product/${p.id}`);
+        const leaked = edges.filter(({ node }) => hidden.includes(node.id));
+        testResult('Storefront catalog has no drafts or archived products',
+          admin.status === 200 && leaked.length === 0,
+          `${hidden.length} hidden in Admin, leaked: ${leaked.map(({ node }) => node.title).join(', ') || 'none'}`);
+      }
+    } else {
+      console.log(`  [${SKIP}] Storefront catalog (set SHOPIFY_STOREFRONT_TOKEN or SHOPIFY_STORE=mock)`);
+    }
+    testResult('Catalog query asks for no stock counts or status',
+      !/quantityAvailable|inventory|status/i.test(fetchNode.jsonBody),
+      'Shopify - Fetch Products query');
 
     // Test via n8n's workflow by sending a broad query
     const groqStart = Date.now();
-    const resp = await httpsRequest('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${GROQ_API_KEY}`,
+    const llm = llmRequest([
+      {
+        role: 'system',
+        content: 'You are a query extraction assistant. Return JSON: { "search_query": "term", "product_type": "type or null", "intent": "search" }. Only return JSON.'
       },
-      body: JSON.stringify({
-        model: 'llama-3.1-8b-instant',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a query extraction assistant. Return JSON: { "search_query": "term", "product_type": "type or null", "intent": "search" }. Only return JSON.'
-          },
-          { role: 'user', content: 'Show me everything you have' }
-        ],
-        temperature: 0.3,
-        max_tokens: 150
-      })
-    });
+      { role: 'user', content: 'Show me everything you have' }
+    ], { temperature: 0.3, max_tokens: 150 });
+    const resp = await httpsRequest(llm.url, llm.options);
     const groqElapsed = Date.now() - groqStart;
 
     testResult('Groq query extraction responds', resp.status === 200);
@@ -175,22 +209,11 @@ async function testQueryVariations() {
         : 'You are a query extraction assistant. Extract the product search intent. Return JSON: { "search_query": "term", "product_type": "type or null", "intent": "search" }. Only return JSON.';
 
       const start = Date.now();
-      const resp = await httpsRequest('https://api.groq.com/openai/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${GROQ_API_KEY}`,
-        },
-        body: JSON.stringify({
-          model: 'llama-3.1-8b-instant',
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userContent }
-          ],
-          temperature: 0.3,
-          max_tokens: 150
-        })
-      });
+      const llm = llmRequest([
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userContent }
+      ], { temperature: 0.3, max_tokens: 150 });
+      const resp = await httpsRequest(llm.url, llm.options);
       const elapsed = Date.now() - start;
 
       if (resp.status === 200) {
@@ -238,9 +261,11 @@ function testLocalFiltering() {
   const mockProducts = [
     { id: 1, title: 'Summer Floral Dress', product_type: 'Dress', tags: 'summer, floral, women', vendor: 'Fashion Co', body_html: '<p>A beautiful summer dress</p>' },
     { id: 2, title: 'Leather Biker Jacket', product_type: 'Jacket', tags: 'leather, biker, unisex', vendor: 'Fashion Co', body_html: '<p>Classic leather jacket</p>' },
-    { id: 3, title: 'Cotton Casual Shirt', product_type: 'Shirt', tags: 'cotton, casual, men', vendor: 'Fashion Co', body_html: '<p>Comfortable everyday shirt</p>' },
+    { id: 3, title: 'Cotton Casual Shirt', product_type: 'Shirt', tags: 'cotton, casual, men', vendor: 'Fashion Co', body_html: '<p>Comfortable everyday shirt</p>', variants: [{ id: 31, title: 'Default Title', price: '35.00', available: true }] },
     { id: 4, title: 'Denim Skinny Jeans', product_type: 'Jeans', tags: 'denim, skinny, unisex', vendor: 'Fashion Co', body_html: '<p>Classic skinny jeans</p>' },
-    { id: 5, title: 'White Party Shirt', product_type: 'Shirt', tags: 'white, party, formal, men', vendor: 'Fashion Co', body_html: '<p>Elegant white shirt perfect for parties and formal events</p>' },
+    { id: 5, title: 'White Party Shirt', product_type: 'Shirt', tags: 'white, party, formal, men', vendor: 'Fashion Co', body_html: '<p>Elegant white shirt perfect for parties and formal events</p>', variants: [{ id: 51, title: 'Default Title', price: '39.99', available: true }] },
+    { id: 6, title: 'Slim Chino Pants', product_type: 'Pants', tags: 'chino, slim', vendor: 'Fashion Co', body_html: '<p>Slim fit chinos</p>', options: [{ name: 'Color', values: ['Navy', 'Khaki'] }],
+      variants: [{ id: 61, title: 'Navy', option1: 'Navy', price: '45.00', available: true }, { id: 62, title: 'Khaki', option1: 'Khaki', price: '45.00', available: false }] },
   ];
 
   // Test various search queries
@@ -271,15 +296,18 @@ function testLocalFiltering() {
     summerResults[0]?.title === 'Summer Floral Dress',
     `Found: ${summerResults.map(p => p.title).join(', ')}`);
 
-  const noMatchResults = filterProducts(mockProducts, 'xyz_no_match');
-  testResult('Filter with no match returns all products (fallback)',
-    noMatchResults.length === mockProducts.length,
-    `Returned ${noMatchResults.length} products (all)`);
+  const noMatch = searchProducts(mockProducts, 'xyz_no_match');
+  testResult('Filter with no match returns no products',
+    noMatch.count === 0 && noMatch.noResults === true,
+    `Returned ${noMatch.count} products`);
+  testResult('No match suggests the catalog\'s product types',
+    ['dress', 'jacket', 'shirt'].every(type => noMatch.suggestions.includes(type)),
+    `Suggestions: ${noMatch.suggestions.join(', ')}`);
 
-  const emptyQuery = filterProducts(mockProducts, '');
+  const emptyQuery = searchProducts(mockProducts, '');
   testResult('Empty query returns all products',
-    emptyQuery.length === mockProducts.length,
-    `Returned ${emptyQuery.length} products`);
+    emptyQuery.count === mockProducts.length,
+    `Returned ${emptyQuery.count} products`);
 
   const multiWord = filterProducts(mockProducts, 'summer dress');
   testResult('Multi-word "summer dress" ranks Floral Dress first',
@@ -295,8 +323,76 @@ function testLocalFiltering() {
     partyShirtResults.indexOf(partyShirtResults.find(p => p.title === 'Cotton Casual Shirt')),
     `Order: ${partyShirtResults.filter(p => p.product_type === 'Shirt').map(p => p.title).join(' > ')}`);
 
+  const pluralResults = filterProducts(mockProducts, 'dresses');
+  testResult('Stemming: "dresses" finds Floral Dress',
+    pluralResults[0]?.title === 'Summer Floral Dress',
+    `Found: ${pluralResults.map(p => p.title).join(', ')}`);
+
+  const synonymResults = filterProducts(mockProducts, 'trousers');
+  testResult('Synonyms: "trousers" finds Chino Pants',
+    synonymResults.length === 1 && synonymResults[0].title === 'Slim Chino Pants',
+    `Found: ${synonymResults.map(p => p.title).join(', ')}`);
+
+  const typoResults = filterProducts(mockProducts, 'jakcet');
+  testResult('Typo tolerance: "jakcet" finds Biker Jacket',
+    typoResults[0]?.title === 'Leather Biker Jacket',
+    `Found: ${typoResults.map(p => p.title).join(', ')}`);
+
+  // "shart" is one typo from both "shirt" and "short"; the set holding both
+  // words should not outrank products matching one of them
+  const nearCatalog = [
+    { id: 1, title: 'Linen Shirt', product_type: 'Tops', tags: 'linen', vendor: 'Fashion Co', body_html: '' },
+    { id: 2, title: 'Cargo Shorts', product_type: 'Bottoms', tags: 'cargo', vendor: 'Fashion Co', body_html: '' },
+    { id: 3, title: 'Shirt and Shorts Set', product_type: 'Sets', tags: 'set', vendor: 'Fashion Co', body_html: '' }
+  ];
+  const nearResults = filterProducts(nearCatalog, 'shart');
+  testResult('Typo with two near words counts once per product',
+    nearResults.length === 3 && nearResults[2].title === 'Shirt and Shorts Set',
+    `Found: ${nearResults.map(p => p.title).join(', ')}`);
+
+  const optionResults = filterProducts(mockProducts, 'khaki');
+  testResult('Option values are searchable: "khaki" finds Chino Pants',
+    optionResults[0]?.title === 'Slim Chino Pants',
+    `Found: ${optionResults.map(p => p.title).join(', ')}`);
+
+  const prefixResults = filterProducts(mockProducts, 'jack');
+  testResult('Prefixes: "jack" finds Biker Jacket',
+    prefixResults.length === 1 && prefixResults[0].title === 'Leather Biker Jacket',
+    `Found: ${prefixResults.map(p => p.title).join(', ')}`);
+
+  // Facet filters
+  const colorFiltered = searchProducts(mockProducts, 'pants', { color: 'khaki' });
+  testResult('Colour filter keeps only matching variants',
+    colorFiltered.count === 1 && colorFiltered.products[0].variants.map(v => v.title).join() === 'Khaki',
+    `Variants: ${colorFiltered.products.map(p => p.variants.map(v => v.title).join('/')).join(', ')}`);
+
+  const stockFiltered = searchProducts(mockProducts, 'pants', { inStock: true });
+  testResult('In-stock filter drops sold-out variants',
+    stockFiltered.count === 1 && stockFiltered.products[0].variants.map(v => v.title).join() === 'Navy',
+    `Variants: ${stockFiltered.products.map(p => p.variants.map(v => v.title).join('/')).join(', ')}`);
+
+  const noneLeft = searchProducts(mockProducts, 'pants', { color: 'khaki', inStock: true });
+  testResult('Filters that exclude every match report no results',
+    noneLeft.count === 0 && noneLeft.noResults === true && noneLeft.filters.color === 'khaki',
+    `Returned ${noneLeft.count} products, filters ${JSON.stringify(noneLeft.filters)}`);
+
+  const cheap = searchProducts(mockProducts, '', { priceMax: 40 });
+  testResult('Price filter works without a search term',
+    cheap.products.map(p => p.title).sort().join() === 'Cotton Casual Shirt,White Party Shirt',
+    `Found: ${cheap.products.map(p => p.title).join(', ')}`);
+
+  const typed = searchProducts(mockProducts, '', { productType: 'Shirts', tags: ['party'] });
+  testResult('Product type and tag filters match plurals and tags',
+    typed.count === 1 && typed.products[0].title === 'White Party Shirt',
+    `Found: ${typed.products.map(p => p.title).join(', ')}`);
+
+  const redundant = searchProducts(mockProducts, 'dresses', { productType: 'dress' });
+  testResult('A type filter that repeats the search term is dropped',
+    redundant.count === 1 && !('productType' in redundant.filters),
+    `Filters: ${JSON.stringify(redundant.filters)}`);
+
   const filterElapsed = Date.now() - filterStart;
-  recordTiming('Local filtering (10 tests)', filterElapsed);
+  recordTiming('Local filtering (22 tests)', filterElapsed);
 }
 
 // ─── Test 4: Cart Intent Extraction Tests ────────────────
@@ -315,26 +411,15 @@ async function testCartIntents() {
   for (const q of cartQueries) {
     try {
       const start = Date.now();
-      const resp = await httpsRequest('https://api.groq.com/openai/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${GROQ_API_KEY}`,
-        },
-        body: JSON.stringify({
-          model: 'llama-3.1-8b-instant',
-          messages: [
-            {
-              role: 'system',
-              content: `You are a query extraction assistant. Extract the customer's intent and product reference.
+      const llm = llmRequest([
+        {
+          role: 'system',
+          content: `You are a query extraction assistant. Extract the customer's intent and product reference.
 Return JSON: { "search_query": "product term or null", "intent": "search|details|add_to_cart|remove_from_cart|view_cart|checkout|clear_cart", "product_reference": "specific product mentioned or null" }. Only return JSON.`
-            },
-            { role: 'user', content: q.input }
-          ],
-          temperature: 0.3,
-          max_tokens: 150
-        })
-      });
+        },
+        { role: 'user', content: q.input }
+      ], { temperature: 0.3, max_tokens: 150 });
+      const resp = await httpsRequest(llm.url, llm.options);
       const elapsed = Date.now() - start;
 
       if (resp.status === 200) {
@@ -522,28 +607,17 @@ async function testResponseFormatting() {
 
   try {
     const start = Date.now();
-    const resp = await httpsRequest('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${GROQ_API_KEY}`,
+    const llm = llmRequest([
+      {
+        role: 'system',
+        content: 'You are a shopping assistant for The Fashion Company. Include product names, prices, and links. Format prices with $ sign. Number products for easy reference.'
       },
-      body: JSON.stringify({
-        model: 'llama-3.1-8b-instant',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a shopping assistant for The Fashion Company. Include product names, prices, and links. Format prices with $ sign. Number products for easy reference.'
-          },
-          {
-            role: 'user',
-            content: `Customer asked: Show me dresses and jackets\n\nProducts found (2 total):\n${JSON.stringify(mockProducts, null, 2)}`
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 500
-      })
-    });
+      {
+        role: 'user',
+        content: `Customer asked: Show me dresses and jackets\n\nProducts found (2 total):\n${JSON.stringify(mockProducts, null, 2)}`
+      }
+    ], { temperature: 0.7, max_tokens: 500 });
+    const resp = await httpsRequest(llm.url, llm.options);
     const elapsed = Date.now() - start;
 
     testResult('Format response succeeds', resp.status === 200);
@@ -566,6 +640,181 @@ async function testResponseFormatting() {
   }
 }
 
+// ─── Test 9: Catalog Cache ───────────────────────────────
+// Runs the workflow's Catalog Cache, Store Catalog and Apply Product Webhook
+// nodes against one static data object, the way n8n shares it between executions
+const workflowNodes = JSON.parse(fs.readFileSync(WORKFLOW_FILE, 'utf8')).nodes;
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+async function runWorkflowNode(name, { env = {}, staticData = {}, upstream = {}, items = [], json = {}, helpers = {} }) {
+  const code = workflowNodes.find(n => n.name === name).parameters.jsCode;
+  const $ = (node) => ({ first: () => ({ json: upstream[node] }) });
+  const $input = { all: () => items };
+  const run = new AsyncFunction('$', '$env', '$json', '$input', '$getWorkflowStaticData', 'require', code);
+  const output = await run.call({ helpers }, $, env, json, $input, () => staticData, require);
+  return output[0].json;
+}
+
+async function testCatalogCache() {
+  console.log(`\n${BOLD}─── Test 9: Catalog Cache ───${RESET}`);
+  const crypto = require('crypto');
+  const env = { SHOPIFY_STORE_DOMAIN: 'example.myshopify.com', SHOPIFY_WEBHOOK_SECRET: 'webhook-secret' };
+  // A Storefront product node, and the Admin API product Shopify's webhooks carry
+  const storefrontProduct = (id, title, updatedAt = '2024-03-01T10:00:00-05:00') => ({
+    id: `gid://shopify/Product/${id}`, title, handle: title.toLowerCase().replace(/ /g, '-'), productType: 'Dress', tags: ['summer'], updatedAt,
+    options: [{ name: 'Title', values: ['Default Title'] }],
+    variants: { edges: [{ node: { id: `gid://shopify/ProductVariant/${id * 10}`, title: 'Default Title', availableForSale: true, price: { amount: '49.99', currencyCode: 'USD' }, selectedOptions: [{ name: 'Title', value: 'Default Title' }] } }] },
+  });
+  const page = (...products) => ({ data: { products: { edges: products.map(node => ({ node })), pageInfo: { hasNextPage: false, endCursor: null } } } });
+  const adminProduct = (id, title, updatedAt, fields = {}) => ({
+    id, title, handle: title.toLowerCase().replace(/ /g, '-'), product_type: 'Dress', tags: 'summer', updated_at: updatedAt,
+    status: 'active', published_at: '2024-01-01T00:00:00-05:00', admin_graphql_api_id: `gid://shopify/Product/${id}`,
+    variants: [{ id: id * 10, title: 'Default Title', price: '49.99', inventory_quantity: 0, inventory_management: 'shopify', inventory_policy: 'deny', sku: 'SKU' }],
+    ...fields,
+  });
+  // One search turn: decide, "fetch" the given pages if a sync is due, store.
+  // `session` holds the shopper's country and language from Load Session Context.
+  async function turn(staticData, pages, turnEnv = env, session = {}) {
+    const plan = await runWorkflowNode('Catalog Cache', { env: turnEnv, staticData, upstream: { 'Load Session Context': session } });
+    const items = plan.sync === 'none' ? [{ json: plan }] : pages.map(json => ({ json }));
+    const stored = await runWorkflowNode('Store Catalog', { env: turnEnv, staticData, items, upstream: { 'Catalog Cache': plan } });
+    return { plan, stored };
+  }
+
+  // A full sync follows the page cursors through the catalog, as the fetch node does
+  if (SHOPIFY.storefrontToken) {
+    const pages = [];
+    let after = null;
+    do {
+      const resp = await storefrontRequest({ first: 5, after });
+      pages.push(resp.body);
+      const pageInfo = resp.body.data ? resp.body.data.products.pageInfo : {};
+      after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+    } while (after && pages.length < 50);
+    const fetched = pages.flatMap(p => (p.data ? p.data.products.edges : [])).length;
+    const { stored } = await turn({}, pages);
+    testResult('Full sync caches every page of products',
+      pages.length > 1 && stored.catalog.count === fetched && stored.products.length === fetched,
+      `${pages.length} pages, ${fetched} products fetched, ${stored.catalog.count} cached`);
+  } else {
+    console.log(`  [${SKIP}] Full sync across pages (set SHOPIFY_STOREFRONT_TOKEN or SHOPIFY_STORE=mock)`);
+  }
+
+  const staticData = {};
+  await turn(staticData, [page(storefrontProduct(1, 'Red Dress'), storefrontProduct(2, 'Blue Dress'), storefrontProduct(3, 'Green Dress'))]);
+  const cached = staticData.catalog.products[1];
+  testResult('Cache keeps public fields with numeric ids',
+    cached.id === 1 && cached.variants[0].id === 10 && cached.variants[0].available === true &&
+      cached.variants[0].option1 === 'Default Title' && cached.tags === 'summer',
+    `Cached: ${JSON.stringify(cached).slice(0, 200)}`);
+
+  const fresh = await turn(staticData, []);
+  testResult('A fresh cache is served without fetching',
+    fresh.plan.sync === 'none' && fresh.stored.products.length === 3,
+    `sync: ${fresh.plan.sync}, products: ${fresh.stored.products.length}`);
+
+  const lastSync = staticData.catalog.syncedAt - 301 * 1000;
+  staticData.catalog.syncedAt = lastSync;
+  const incremental = await turn(staticData, [page(storefrontProduct(2, 'Navy Dress', '2024-04-01T10:00:00-05:00'))]);
+  testResult('A stale cache fetches only products updated since the last sync',
+    incremental.plan.sync === 'incremental' &&
+      Date.parse(incremental.plan.updatedAtMin) === lastSync - 60 * 1000 &&
+      incremental.stored.products.map(p => p.title).join() === 'Red Dress,Navy Dress,Green Dress',
+    `sync: ${incremental.plan.sync}, updated_at_min: ${incremental.plan.updatedAtMin}, titles: ${incremental.stored.products.map(p => p.title).join(', ')}`);
+
+  staticData.catalog.syncedAt -= 301 * 1000;
+  const failed = await turn(staticData, [{ errors: [{ message: 'Throttled' }] }]);
+  testResult('A failed sync keeps serving the cached catalog',
+    failed.stored.catalog.sync === 'failed' && failed.stored.products.length === 3,
+    `sync: ${failed.stored.catalog.sync}, products: ${failed.stored.products.length}`);
+
+  staticData.catalog.fullSyncAt -= 24 * 3600 * 1000;
+  const full = await turn(staticData, [page(storefrontProduct(1, 'Red Dress'), storefrontProduct(2, 'Navy Dress'))]);
+  testResult('A periodic full sync drops products deleted or unpublished in the store',
+    full.plan.sync === 'full' && full.stored.products.length === 2,
+    `sync: ${full.plan.sync}, products: ${full.stored.products.length}`);
+
+  const legacy = { catalog: { ...staticData.catalog, version: undefined } };
+  const upgraded = await turn(legacy, [page(storefrontProduct(1, 'Red Dress'))]);
+  testResult('A cache from an older workflow version is replaced by a full sync',
+    upgraded.plan.sync === 'full' && upgraded.stored.products.length === 1,
+    `sync: ${upgraded.plan.sync}`);
+
+  // Webhooks, signed the way Shopify signs them
+  const webhook = (topic, body, secret = env.SHOPIFY_WEBHOOK_SECRET) => {
+    const raw = Buffer.from(JSON.stringify(body));
+    return runWorkflowNode('Apply Product Webhook', {
+      env, staticData,
+      json: { headers: { 'x-shopify-topic': topic, 'x-shopify-hmac-sha256': crypto.createHmac('sha256', secret).update(raw).digest('base64') }, body },
+      helpers: { getBinaryDataBuffer: async () => raw },
+    });
+  };
+  const updated = await webhook('products/update', adminProduct(1, 'Crimson Dress', '2024-05-01T10:00:00-05:00'));
+  const created = await webhook('products/create', adminProduct(4, 'Yellow Dress', '2024-05-01T10:00:00-05:00'));
+  const deleted = await webhook('products/delete', { id: 2 });
+  testResult('Product webhooks update, add and delete cached products',
+    updated.applied && created.applied && deleted.applied &&
+      Object.values(staticData.catalog.products).map(p => p.title).join() === 'Crimson Dress,Yellow Dress',
+    `Cached: ${Object.values(staticData.catalog.products).map(p => p.title).join(', ')}`);
+
+  const fromWebhook = staticData.catalog.products[4];
+  testResult('Webhook products keep no status, stock counts or Admin fields',
+    !('status' in fromWebhook) && !('admin_graphql_api_id' in fromWebhook) &&
+      !('inventory_quantity' in fromWebhook.variants[0]) && !('sku' in fromWebhook.variants[0]) && fromWebhook.variants[0].available === false,
+    `Cached: ${JSON.stringify(fromWebhook).slice(0, 200)}`);
+
+  const drafted = await webhook('products/update', adminProduct(4, 'Yellow Dress', '2024-06-01T10:00:00-05:00', { status: 'draft' }));
+  const unpublished = await webhook('products/create', adminProduct(5, 'Hidden Dress', '2024-06-01T10:00:00-05:00', { published_at: null }));
+  testResult('Draft and unpublished products leave the cache',
+    drafted.applied && !unpublished.applied && Object.keys(staticData.catalog.products).join() === '1',
+    `Cached ids: ${Object.keys(staticData.catalog.products).join(', ')}`);
+
+  const forged = await webhook('products/update', adminProduct(1, 'Forged Dress', '2024-06-01T10:00:00-05:00'), 'wrong-secret');
+  const outdated = await webhook('products/update', adminProduct(1, 'Old Red Dress', '2024-01-01T10:00:00-05:00'));
+  testResult('Unsigned and out-of-order webhooks are ignored',
+    !forged.applied && !outdated.applied && staticData.catalog.products[1].title === 'Crimson Dress',
+    `${forged.reason}; ${outdated.reason}`);
+
+  // Shoppers in another market get their own copy, priced by Storefront in its currency
+  const euro = (product) => JSON.parse(JSON.stringify(product).replace(/"USD"/g, '"EUR"'));
+  const german = { country: 'DE', language: 'DE' };
+  const market = await turn(staticData, [page(euro(storefrontProduct(1, 'Rotes Kleid')))], env, german);
+  testResult('Each market gets its own catalog copy in its currency',
+    market.plan.sync === 'full' && market.plan.context === 'DE:DE' && market.stored.currency === 'EUR' &&
+      staticData.marketCatalogs['DE:DE'].products[1].title === 'Rotes Kleid' && staticData.catalog.products[1].title === 'Crimson Dress',
+    `context: ${market.plan.context}, currency: ${market.stored.currency}`);
+
+  const marketQuery = JSON.parse(new Function('$json', `return ${fetchNode.jsonBody.replace(/^=\{\{|\}\}$/g, '')}`)(market.plan));
+  testResult('Catalog query runs in the shopper\'s market and asks for the currency',
+    marketQuery.query.includes('@inContext(country: $country, language: $language)') && marketQuery.query.includes('price { amount currencyCode }') &&
+      marketQuery.variables.country === 'DE' && marketQuery.variables.language === 'DE',
+    `variables: ${JSON.stringify(marketQuery.variables)}`);
+
+  const refreshed = await webhook('products/update', adminProduct(1, 'Scarlet Dress', '2024-07-01T10:00:00-05:00'));
+  const flagged = staticData.marketCatalogs['DE:DE'].refresh === true && staticData.marketCatalogs['DE:DE'].products[1].title === 'Rotes Kleid';
+  const marketTurn = await turn(staticData, [page(euro(storefrontProduct(1, 'Scharlachrotes Kleid', '2024-07-01T10:00:00-05:00')))], env, german);
+  testResult('Product webhooks refresh market copies from Storefront instead of Admin prices',
+    refreshed.applied && flagged && staticData.catalog.products[1].title === 'Scarlet Dress' &&
+      marketTurn.plan.sync === 'incremental' && marketTurn.stored.products[0].title === 'Scharlachrotes Kleid' && !staticData.marketCatalogs['DE:DE'].refresh,
+    `sync: ${marketTurn.plan.sync}, market title: ${marketTurn.stored.products[0].title}`);
+
+  const priced = await runWorkflowNode('Merge & Format Results', {
+    env,
+    upstream: { 'Store Catalog': marketTurn.stored, 'Parse Query': { search_query: 'kleid', filters: {} }, 'Load Session Context': { locale: 'de-DE' } },
+  });
+  const marketPrice = priced.products[0] ? priced.products[0].variants[0].price : '';
+  testResult('Search prices are formatted in the market currency',
+    /^49,99\s€$/.test(marketPrice) && priced.currency === 'EUR' && priced.productMetadata[1].currencyCode === 'EUR',
+    `price: ${marketPrice}, currency: ${priced.currency}`);
+
+  // Search results sent to the LLM carry availability only
+  const results = searchProducts(Object.values(staticData.catalog.products), 'dress');
+  const variant = results.products[0].variants[0];
+  testResult('Search results carry no status or stock counts',
+    !('status' in results.products[0]) && !('inventory' in variant) && typeof variant.available === 'boolean',
+    `Product fields: ${Object.keys(results.products[0]).join(', ')}; variant: ${JSON.stringify(variant)}`);
+}
+
 // ─── Test 8: n8n Chat Workflow End-to-End Timing ─────────
 async function testN8nWorkflowTiming() {
   console.log(`\n${BOLD}─── Test 8: n8n Workflow Health Check ───${RESET}`);
@@ -592,9 +841,13 @@ async function testN8nWorkflowTiming() {
 
 // ─── Main ────────────────────────────────────────────────
 async function main() {
+  await startLlm();
+  await startShopify();
+
   console.log('='.repeat(60));
   console.log(`  ${BOLD}Shopify API Query Tests with Response Time Tracking${RESET}`);
-  console.log(`  Store: ${SHOPIFY_STORE}`);
+  console.log(`  Store: ${describeShopify()}`);
+  console.log(`  LLM: ${describeLlm()}`);
   console.log('='.repeat(60));
 
   await testN8nWorkflowTiming();
@@ -615,6 +868,8 @@ async function main() {
 
   testCartOperations();
 
+  await testCatalogCache();
+
   await testResponseFormatting();
 
   // Summary
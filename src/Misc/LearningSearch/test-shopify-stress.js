@@ -8,13 +8,15 @@
  * Uses the public storefront JSON endpoints (no admin OAuth needed).
  *
  * Usage: node test-shopify-stress.js
+ *        SHOPIFY_STORE=mock node test-shopify-stress.js   # offline, against mock-shopify-server.js
  */
 
 const https = require('https');
+const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { startShopify, shopifyUrl, describeShopify } = require('./test-config');
 
-const SHOPIFY_STORE = process.env.SHOPIFY_STORE || 'the-fashion-company-3.myshopify.com';
 const TOTAL_CALLS = 50;
 const RESULTS_FILE = path.join(__dirname, 'shopify-stress-results.json');
 
@@ -99,10 +101,11 @@ function buildQueryUrls() {
 // ─── HTTPS GET with timing ──────────────────────────────
 function timedGet(urlPath) {
   return new Promise((resolve) => {
-    const url = `https://${SHOPIFY_STORE}${urlPath}`;
+    const url = shopifyUrl(urlPath);
     const startTime = Date.now();
 
-    const req = https.get(url, { timeout: 15000 }, (res) => {
+    const lib = url.startsWith('https') ? https : http;
+    const req = lib.get(url, { timeout: 15000 }, (res) => {
       let data = '';
       res.on('data', (chunk) => data += chunk);
       res.on('end', () => {
@@ -152,11 +155,12 @@ function percentile(arr, p) {
 
 // ─── Main ────────────────────────────────────────────────
 async function main() {
+  await startShopify();
   const queries = buildQueryUrls();
 
   console.log('='.repeat(64));
   console.log(`  ${BOLD}Shopify API Stress Test — Latency Evaluation${RESET}`);
-  console.log(`  Store: ${SHOPIFY_STORE}`);
+  console.log(`  Store: ${describeShopify()}`);
   console.log(`  Calls: ${TOTAL_CALLS}`);
   console.log(`  Output: ${RESULTS_FILE}`);
   console.log('='.repeat(64));
@@ -291,7 +295,7 @@ async function main() {
   // ─── Write results to file ───────────────────────────
   const output = {
     timestamp: new Date().toISOString(),
-    store: SHOPIFY_STORE,
+    store: describeShopify(),
     totalCalls: TOTAL_CALLS,
     statistics: stats,
     calls: results
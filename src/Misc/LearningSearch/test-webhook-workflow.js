@@ -0,0 +1,417 @@
+/**
+ * Node Test for the Webhook Workflow
+ *
+ * Runs Function nodes from src/shopify_chat_agent/workflow-webhook.json the
+ * way n8n does, with the upstream node outputs each one reads, and checks:
+ * 1. Parse Groq Response expands search words with their singular and
+ *    synonyms, and words that name Object.prototype members stay plain words
+ * 2. The cart nodes answer in the shopper's language, and in English for a
+ *    language the widget does not ship
+ * 3. Store Config resolves the tenant from the registry, answers an unknown
+ *    store with 404, a disallowed origin with 403 and a tenant over its rate
+ *    limit with 429 and retryAfter, and Load Session keeps sessions per tenant
+ * 4. Cart – Plan Mutation picks cartCreate, cartLinesAdd, cartLinesUpdate or
+ *    cartLinesRemove for the session cart, and mirrors a theme cart's change
+ *    into a fresh cart with the cartSync the widget applies
+ * 5. Cart – Extract Variant picks the variant matching the requested size,
+ *    colour and material, asks with option chips when that is ambiguous or
+ *    not offered, and reports a sold-out match
+ *
+ * Needs no n8n, LLM or store.
+ *
+ * Usage: node test-webhook-workflow.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const WORKFLOW_FILE = path.join(__dirname, '..', '..', 'shopify_chat_agent', 'workflow-webhook.json');
+
+const PASS = '\x1b[92mPASS\x1b[0m';
+const FAIL = '\x1b[91mFAIL\x1b[0m';
+const results = [];
+
+function testResult(name, passed, detail = '') {
+  const status = passed ? PASS : FAIL;
+  results.push(passed);
+  console.log(`  [${status}] ${name}`);
+  if (detail) console.log(`         ${detail.slice(0, 250)}`);
+}
+
+// ─── Harness ──────────────────────────────────────────────
+// Function nodes (v1) see the incoming items, $json for the first of them,
+// $node['Name'].json for earlier nodes, $env and the workflow's static data.
+// n8n runs the code as the body of its own function, so a node may declare
+// its own `items`.
+const workflowNodes = JSON.parse(fs.readFileSync(WORKFLOW_FILE, 'utf8')).nodes;
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+async function runWorkflowNode(name, { env = {}, staticData = {}, upstream = {}, items = [{ json: {} }] }) {
+  const code = workflowNodes.find(n => n.name === name).parameters.functionCode;
+  const $node = new Proxy({}, { get: (_, node) => ({ json: upstream[node] }) });
+  const run = new AsyncFunction('items', '$node', '$json', '$env', 'getWorkflowStaticData', 'require', `return (async () => {\n${code}\n})();`);
+  return run(items, $node, items[0] && items[0].json, env, () => staticData, require);
+}
+
+// ─── Test 1: Search terms ─────────────────────────────────
+async function testSearchTerms() {
+  console.log('\n─── Test 1: Search Terms ───');
+  // Parse Groq Response after the LLM read `message` as a search for `query`
+  const parse = async (query, action = null) => {
+    const content = JSON.stringify({ intent: 'search', search_query: query, product_name: query });
+    const [item] = await runWorkflowNode('Parse Groq Response', {
+      upstream: { 'Load Session': { action } },
+      items: [{ json: { choices: [{ message: { content } }] } }],
+    });
+    return item.json.params;
+  };
+
+  const params = await parse('trousers');
+  testResult('A word is searched with its singular and synonym', params.searchTerm === '(trousers OR trouser OR pants)', `Search: ${params.searchTerm}`);
+
+  for (const word of ['constructor', 'toString', 'valueOf', 'hasOwnProperty', '__proto__']) {
+    try {
+      const { searchTerm } = await parse(`${word} shirts`);
+      testResult(`"${word}" is searched as a plain word`, searchTerm === `${word.toLowerCase()} (shirts OR shirt)`, `Search: ${searchTerm}`);
+    } catch (e) {
+      testResult(`"${word}" is searched as a plain word`, false, e.message);
+    }
+  }
+
+  try {
+    const { searchTerm } = await parse(null, { type: 'search', query: 'constructor', filters: {} });
+    testResult('A filter-chip search for "constructor" is a plain word', searchTerm === 'constructor', `Search: ${searchTerm}`);
+  } catch (e) {
+    testResult('A filter-chip search for "constructor" is a plain word', false, e.message);
+  }
+}
+
+// ─── Test 2: Cart messages ────────────────────────────────
+// A Storefront cart holding `lines` of [title, variant, quantity, amount]
+const storefrontCart = (lines, currencyCode = 'EUR') => {
+  const total = lines.reduce((sum, [, , quantity, amount]) => sum + quantity * amount, 0).toFixed(2);
+  return {
+    id: 'gid://shopify/Cart/c1',
+    checkoutUrl: 'https://example.myshopify.com/cart/c/c1',
+    totalQuantity: lines.reduce((sum, [, , quantity]) => sum + quantity, 0),
+    lines: { edges: lines.map(([title, variant, quantity, amount], i) => ({ node: {
+      id: `gid://shopify/CartLine/${i + 1}`, quantity,
+      merchandise: { id: `gid://shopify/ProductVariant/${i + 1}`, title: variant, price: { amount: String(amount), currencyCode }, product: { title } },
+    } })) },
+    cost: { subtotalAmount: { amount: total, currencyCode }, totalAmount: { amount: total, currencyCode }, totalTaxAmount: null, totalDutyAmount: null },
+  };
+};
+
+// A Storefront product with a variant for every combination of `options`
+// ({ Size: ['S', 'M'] }); `soldOut` lists variant titles ("M / Blue") not for sale
+const storefrontProduct = (title, options, soldOut = []) => {
+  const combinations = Object.entries(options).reduce((list, [name, values]) =>
+    list.flatMap(selected => values.map(value => [...selected, { name, value }])), [[]]);
+  return {
+    id: 'gid://shopify/Product/1',
+    title,
+    options: Object.entries(options).map(([name, values]) => ({ name, values })),
+    variants: { edges: combinations.map((selectedOptions, i) => {
+      const variantTitle = selectedOptions.map(option => option.value).join(' / ');
+      return { node: {
+        id: `gid://shopify/ProductVariant/${i + 1}`, title: variantTitle, availableForSale: !soldOut.includes(variantTitle),
+        price: { amount: '49.99', currencyCode: 'EUR' }, selectedOptions,
+      } };
+    }) },
+  };
+};
+
+async function testCartMessages() {
+  console.log('\n─── Test 2: Cart Messages ───');
+  const session = (locale, language) => ({ locale, language, country: null, cart: [], cartId: 'gid://shopify/Cart/c1', themeCart: false });
+  const added = async (locale, language) => {
+    const plan = { skip: false, action: 'cart', operation: 'cartLinesAdd', target: 'Linen Shirt', variantId: 'gid://shopify/ProductVariant/1', quantity: 1 };
+    const [item] = await runWorkflowNode('Cart – Format Response', {
+      upstream: { 'Cart – Plan Mutation': plan, 'Load Session': session(locale, language) },
+      items: [{ json: { data: { cartLinesAdd: { cart: storefrontCart([['Linen Shirt', 'M', 1, 49.99]]), userErrors: [] } } } }],
+    });
+    return item.json.message;
+  };
+
+  const french = await added('fr-FR', 'FR');
+  testResult('An add is confirmed in French', french.startsWith('Linen Shirt (1x) ajouté au panier. Votre panier contient 1 article. Total :'), french);
+  const german = await added('de-DE', 'DE');
+  testResult('An add is confirmed in German', german.startsWith('Linen Shirt (1x) wurde in den Warenkorb gelegt.'), german);
+  const portuguese = await added('pt-BR', 'PT_BR');
+  testResult('A language the widget does not ship gets English', portuguese.startsWith('Added Linen Shirt (1x) to cart. Your cart has 1 item.'), portuguese);
+
+  const [clarification] = await runWorkflowNode('Cart – Extract Variant', {
+    upstream: {
+      'Parse Groq Response': { params: { productName: 'linen shirt', quantity: 1, options: {} } },
+      'Load Session': session('es-ES', 'ES'),
+    },
+    items: [{ json: { data: { products: { edges: [{ node: storefrontProduct('Camisa de lino', { Talla: ['S', 'M', 'L'] }) }] } } } }],
+  });
+  testResult('A clarification asks in Spanish', clarification.json.message === '¿Qué talla quieres para Camisa de lino?', clarification.json.message);
+  testResult('Its choices send Spanish messages', clarification.json.choices.map(c => c.message).join(' | ') === 'Añadir 1 Camisa de lino, talla S | Añadir 1 Camisa de lino, talla M | Añadir 1 Camisa de lino, talla L',
+    clarification.json.choices.map(c => c.message).join(' | '));
+
+  const [skipped] = await runWorkflowNode('Cart – Plan Mutation', {
+    upstream: {
+      'Parse Groq Response': { intent: 'clear_cart', params: { productName: '', quantity: 1, options: {} } },
+      'Load Session': { ...session('ar', 'AR'), cartId: null },
+    },
+  });
+  testResult('An empty cart is answered in Arabic', skipped.json.skip && skipped.json.message === 'كانت سلتك فارغة بالفعل.', skipped.json.message);
+}
+
+// ─── Test 3: Stores ───────────────────────────────────────
+async function testStores() {
+  console.log('\n─── Test 3: Stores ───');
+  const registryFile = path.join(os.tmpdir(), `tenants-${process.pid}.json`);
+  fs.writeFileSync(registryFile, JSON.stringify({
+    defaultTenant: 'fashion',
+    tenants: {
+      fashion: {
+        domain: 'fashion.myshopify.com', storefrontTokenEnv: 'FASHION_TOKEN', brandName: 'Fashion',
+        allowedOrigins: ['https://fashion.example.com'], rateLimit: { requests: 2, windowSeconds: 30 },
+      },
+      boutique: { domain: 'http://127.0.0.1:8788', storefrontToken: 'boutique-token', brandName: 'Boutique', rateLimit: { requests: 5 } },
+    },
+  }));
+  const env = { SHOPIFY_TENANTS_FILE: registryFile, FASHION_TOKEN: 'fashion-token' };
+  const staticData = {};
+  // One request through Store Config, as the widget on `origin` sends it
+  const request = async (storeId, origin = 'https://fashion.example.com', sessionId = 's1') => {
+    const webhook = { headers: origin ? { origin } : {}, body: { storeId, sessionId, message: 'hi' } };
+    const [item] = await runWorkflowNode('Store Config', { env, staticData, upstream: { 'Chat Webhook': webhook } });
+    return { webhook, config: item.json };
+  };
+
+  try {
+    const unknown = (await request('other-store')).config;
+    testResult('An unknown store is rejected with 404', !unknown.allowed && unknown.status === 404, JSON.stringify(unknown));
+
+    const boutique = (await request('boutique', null)).config;
+    testResult('A tenant resolves to its own store', boutique.allowed && boutique.tenantId === 'boutique' && boutique.graphqlUrl === 'http://127.0.0.1:8788/api/2024-04/graphql.json'
+      && boutique.storefrontToken === 'boutique-token', JSON.stringify(boutique));
+
+    const foreign = (await request('fashion', 'https://evil.example.net')).config;
+    testResult('A disallowed origin is rejected with 403', !foreign.allowed && foreign.status === 403, JSON.stringify(foreign));
+
+    const first = (await request('fashion.myshopify.com')).config;
+    const second = (await request('fashion', null)).config;
+    const third = (await request('fashion')).config;
+    testResult('An allowed origin, the shop domain and server-side callers get through',
+      first.allowed && first.tenantId === 'fashion' && first.storefrontToken === 'fashion-token' && second.allowed, JSON.stringify(first));
+    testResult('A tenant over its rate limit is rejected with 429 and retryAfter',
+      !third.allowed && third.status === 429 && third.retryAfter > 0 && third.retryAfter <= 30 && third.message.includes(`${third.retryAfter} seconds`), JSON.stringify(third));
+    const other = (await request('boutique', null)).config;
+    testResult('Another tenant keeps its own rate limit', other.allowed && staticData.rateLimits.fashion.count === 3 && staticData.rateLimits.boutique.count === 2,
+      JSON.stringify(staticData.rateLimits));
+
+    const [rejected] = await runWorkflowNode('Reject Request', { items: [{ json: third }] });
+    testResult('Reject Request answers with the status and retryAfter',
+      rejected.json.error === true && rejected.json.status === 429 && rejected.json.retryAfter === third.retryAfter, JSON.stringify(rejected.json));
+
+    // Both stores' widgets use session id "s1": each gets its own session and cart.
+    // A new rate-limit window lets the fashion store's requests through again.
+    staticData.rateLimits = {};
+    staticData.sessions = { 'fashion:s1': { history: [{ user: 'linen shirts', assistant: 'Here you go' }], products: {}, cart: [], cartId: 'gid://shopify/Cart/fashion' } };
+    const session = async (storeId) => {
+      const { webhook, config } = await request(storeId, null);
+      const [item] = await runWorkflowNode('Load Session', { staticData, upstream: { 'Chat Webhook': webhook, 'Store Config': config } });
+      return item.json;
+    };
+    const fashionSession = await session('fashion');
+    const boutiqueSession = await session('boutique');
+    testResult('Sessions are keyed per tenant', fashionSession.sessionKey === 'fashion:s1' && boutiqueSession.sessionKey === 'boutique:s1',
+      `${fashionSession.sessionKey}, ${boutiqueSession.sessionKey}`);
+    testResult('A session id from one store does not open another store\'s session',
+      fashionSession.cartId === 'gid://shopify/Cart/fashion' && fashionSession.historyLength === 1 && boutiqueSession.cartId === null && boutiqueSession.historyLength === 0,
+      `fashion: ${fashionSession.cartId}, boutique: ${boutiqueSession.cartId}`);
+  } finally {
+    fs.unlinkSync(registryFile);
+  }
+}
+
+// ─── Test 4: Cart mutations ───────────────────────────────
+async function testCartMutations() {
+  console.log('\n─── Test 4: Cart Mutations ───');
+  const SHIRT = 'gid://shopify/ProductVariant/11';
+  const BELT = 'gid://shopify/ProductVariant/31';
+  const DRESS = 'gid://shopify/ProductVariant/21';
+  const sessionCart = [
+    { lineId: 'gid://shopify/CartLine/1', variantId: SHIRT, title: 'Linen Shirt', variant: 'M', quantity: 1 },
+    { lineId: 'gid://shopify/CartLine/2', variantId: BELT, title: 'Leather Belt', variant: 'Default Title', quantity: 2 },
+  ];
+  const themeCart = [
+    { lineId: '11:a1', variantId: SHIRT, title: 'Linen Shirt', variant: 'M', quantity: 1, price: { amount: '35.00', currencyCode: 'EUR' } },
+    { lineId: '31:b2', variantId: BELT, title: 'Leather Belt', variant: 'Default Title', quantity: 2, price: { amount: '25.00', currencyCode: 'EUR' } },
+  ];
+  // Plan one cart turn; `variant` is what Cart – Extract Variant picked for an add
+  const planTurn = async (intent, params, session, variant = {}) => {
+    const [item] = await runWorkflowNode('Cart – Plan Mutation', {
+      upstream: {
+        'Parse Groq Response': { intent, params: { productName: '', quantity: 1, options: {}, ...params } },
+        'Load Session': { cartId: null, cart: [], themeCart: false, country: null, language: null, ...session },
+      },
+      items: [{ json: variant }],
+    });
+    return item.json;
+  };
+  const storefront = { cartId: 'gid://shopify/Cart/c1', cart: sessionCart };
+  const theme = { cart: themeCart, themeCart: true };
+  const mirrored = (plan) => (plan.variables.input.lines || []).map(line => `${line.merchandiseId.split('/').pop()}x${line.quantity}`).join(' ');
+
+  // Storefront cart kept in the session
+  let plan = await planTurn('cart', { quantity: 2 }, { country: 'FR' }, { variantId: DRESS, productTitle: 'Linen Dress', quantity: 2 });
+  testResult('The first add creates the cart in the shopper\'s market',
+    plan.operation === 'cartCreate' && plan.query.includes('@inContext(country: $country') && plan.variables.country === 'FR'
+    && plan.variables.input.buyerIdentity.countryCode === 'FR' && mirrored(plan) === '21x2', JSON.stringify(plan.variables));
+
+  plan = await planTurn('cart', { quantity: 1 }, storefront, { variantId: DRESS, productTitle: 'Linen Dress', quantity: 1 });
+  testResult('A new item is added to the session cart with cartLinesAdd',
+    plan.operation === 'cartLinesAdd' && plan.variables.cartId === 'gid://shopify/Cart/c1' && plan.variables.lines[0].merchandiseId === DRESS && plan.target === 'Linen Dress',
+    JSON.stringify(plan.variables));
+
+  plan = await planTurn('cart', { quantity: 2 }, storefront, { variantId: SHIRT, productTitle: 'Linen Shirt', quantity: 2 });
+  testResult('Adding an item already in the cart raises its quantity',
+    plan.operation === 'cartLinesUpdate' && JSON.stringify(plan.variables.lines) === '[{"id":"gid://shopify/CartLine/1","quantity":3}]', JSON.stringify(plan.variables));
+
+  plan = await planTurn('cart', { variantId: SHIRT, quantity: 1 }, storefront);
+  testResult('A direct "Add to cart" needs no variant lookup', plan.operation === 'cartLinesUpdate' && plan.variantId === SHIRT, JSON.stringify(plan));
+
+  plan = await planTurn('update_cart', { productName: 'belt', quantity: 5 }, storefront);
+  testResult('update_cart sets the quantity of the matching line',
+    plan.operation === 'cartLinesUpdate' && JSON.stringify(plan.variables.lines) === '[{"id":"gid://shopify/CartLine/2","quantity":5}]' && plan.target === 'Leather Belt',
+    JSON.stringify(plan.variables));
+
+  plan = await planTurn('update_cart', { productName: 'belt', quantity: 0 }, storefront);
+  testResult('update_cart to 0 removes the line', plan.operation === 'cartLinesRemove' && JSON.stringify(plan.variables.lineIds) === '["gid://shopify/CartLine/2"]',
+    JSON.stringify(plan.variables));
+
+  plan = await planTurn('remove_from_cart', { productName: 'linen shirt' }, storefront);
+  testResult('remove_from_cart removes the matching line with cartLinesRemove',
+    plan.operation === 'cartLinesRemove' && JSON.stringify(plan.variables.lineIds) === '["gid://shopify/CartLine/1"]' && plan.target === 'Linen Shirt',
+    JSON.stringify(plan.variables));
+
+  plan = await planTurn('remove_from_cart', { productName: 'straw hat' }, storefront);
+  testResult('Removing something not in the cart sends nothing to Shopify',
+    plan.skip && plan.error && plan.message === 'Could not find "straw hat" in your cart.', JSON.stringify(plan));
+
+  plan = await planTurn('clear_cart', {}, storefront);
+  testResult('clear_cart removes every line', plan.operation === 'cartLinesRemove' && plan.variables.lineIds.length === 2, JSON.stringify(plan.variables));
+
+  plan = await planTurn('view_cart', {}, storefront);
+  testResult('view_cart reads the session cart', plan.operation === 'cart' && plan.variables.cartId === 'gid://shopify/Cart/c1' && !plan.query.startsWith('mutation'),
+    JSON.stringify(plan.variables));
+
+  // Theme cart sent by the widget on a storefront
+  plan = await planTurn('cart', { quantity: 1 }, theme, { variantId: DRESS, productTitle: 'Linen Dress', quantity: 1 });
+  testResult('A theme cart add is priced in a fresh cart holding the theme lines',
+    plan.operation === 'cartCreate' && mirrored(plan) === '11x1 31x2 21x1', mirrored(plan));
+  testResult('The widget is told to add the item to the theme cart',
+    JSON.stringify(plan.cartSync) === JSON.stringify([{ type: 'add', variantId: DRESS, quantity: 1 }]), JSON.stringify(plan.cartSync));
+
+  plan = await planTurn('cart', { quantity: 2 }, theme, { variantId: BELT, productTitle: 'Leather Belt', quantity: 2 });
+  testResult('A theme cart add of a line already there raises its quantity', mirrored(plan) === '11x1 31x4' && plan.cartSync[0].type === 'add', mirrored(plan));
+
+  plan = await planTurn('update_cart', { productName: 'shirt', quantity: 3 }, theme);
+  testResult('A theme cart update sets the line by its cart.js key',
+    mirrored(plan) === '11x3 31x2' && JSON.stringify(plan.cartSync) === JSON.stringify([{ type: 'set', lineId: '11:a1', variantId: SHIRT, quantity: 3 }]),
+    `${mirrored(plan)} ${JSON.stringify(plan.cartSync)}`);
+
+  plan = await planTurn('remove_from_cart', { productName: 'belt' }, theme);
+  testResult('A theme cart removal sets the line to 0',
+    mirrored(plan) === '11x1' && JSON.stringify(plan.cartSync) === JSON.stringify([{ type: 'set', lineId: '31:b2', variantId: BELT, quantity: 0 }]),
+    `${mirrored(plan)} ${JSON.stringify(plan.cartSync)}`);
+
+  plan = await planTurn('clear_cart', {}, theme);
+  testResult('Clearing a theme cart sets every line to 0', mirrored(plan) === '' && plan.cartSync.length === 2 && plan.cartSync.every(sync => sync.quantity === 0),
+    JSON.stringify(plan.cartSync));
+
+  plan = await planTurn('view_cart', {}, theme);
+  testResult('Viewing a priced theme cart skips Shopify', plan.operation === 'themeCart' && !plan.query, JSON.stringify(plan));
+  const [summary] = await runWorkflowNode('Cart – Format Response', {
+    upstream: { 'Cart – Plan Mutation': plan, 'Load Session': { ...theme, locale: 'en', language: 'EN' }, 'Store Config': { storeUrl: 'https://shop.example.com' } },
+  });
+  testResult('Cart – Format Response summarises the theme cart',
+    summary.json.message === 'Your cart: Linen Shirt (1x), Leather Belt (2x). Total: €85.00.' && summary.json.checkoutUrl === 'https://shop.example.com/checkout',
+    summary.json.message);
+}
+
+// ─── Test 5: Variant selection ────────────────────────────
+async function testVariantSelection() {
+  console.log('\n─── Test 5: Variant Selection ───');
+  const shirt = storefrontProduct('Oxford Shirt', { Size: ['S', 'M', 'L'], Color: ['White', 'Navy Blue'] }, ['L / Navy Blue']);
+  // Cart – Extract Variant for "add <quantity> <product> in <options>"
+  const extract = async (options, product = shirt, quantity = 1) => {
+    const [item] = await runWorkflowNode('Cart – Extract Variant', {
+      upstream: {
+        'Parse Groq Response': { params: { productName: 'oxford shirt', quantity, options } },
+        'Load Session': { language: 'EN' },
+      },
+      items: [{ json: { data: { products: { edges: product ? [{ node: product }] : [] } } } }],
+    });
+    return item.json;
+  };
+  const choices = (result) => (result.choices || []).map(choice => `${choice.label}: ${choice.message}`);
+
+  let result = await extract({ size: 'medium', color: 'blue' }, shirt, 2);
+  testResult('Size and colour pick their variant ("medium" is M, "blue" is Navy Blue)',
+    result.variantId === 'gid://shopify/ProductVariant/4' && result.variantTitle === 'M / Navy Blue' && result.quantity === 2, JSON.stringify(result));
+
+  result = await extract({ color: 'blue' });
+  testResult('An ambiguous request asks about the option that still differs',
+    result.clarify && result.option === 'Size' && result.message === 'Which size would you like for Oxford Shirt?', JSON.stringify(result));
+  testResult('Its chips offer only the sizes in stock and keep the colour',
+    JSON.stringify(choices(result)) === JSON.stringify(['S: Add 1 Oxford Shirt, color blue, size S', 'M: Add 1 Oxford Shirt, color blue, size M']),
+    JSON.stringify(choices(result)));
+
+  result = await extract({ size: 'xl' });
+  testResult('A size the product does not come in is named, with the sizes it does',
+    result.clarify && result.message === "Oxford Shirt doesn't come in xl. Which size would you like?" && result.choices.map(c => c.label).join(',') === 'S,M,L',
+    JSON.stringify(result));
+
+  result = await extract({ material: 'linen' });
+  testResult('An option the product does not have is named, with an "add anyway" chip',
+    result.clarify && result.message.startsWith("Oxford Shirt doesn't come in different materials") && JSON.stringify(choices(result)) === JSON.stringify(['Add Oxford Shirt: Add 1 Oxford Shirt']),
+    JSON.stringify(result));
+
+  result = await extract({ size: 'l', color: 'navy' });
+  testResult('A sold-out variant is reported instead of added', result.error && !result.variantId && result.message === 'Sorry, Oxford Shirt (l, navy) is sold out.',
+    JSON.stringify(result));
+
+  result = await extract({}, storefrontProduct('Canvas Tote', { Title: ['Default Title'] }, ['Default Title']));
+  testResult('A sold-out product without options is reported', result.error && result.message === 'Sorry, Canvas Tote is sold out.', JSON.stringify(result));
+
+  result = await extract({ size: 's' }, null);
+  testResult('A product that is not found is reported', result.error && result.message.startsWith('Sorry, I couldn\'t find "oxford shirt"'), JSON.stringify(result));
+}
+
+// ─── Main ─────────────────────────────────────────────────
+async function main() {
+  console.log('═'.repeat(60));
+  console.log('  Node Test: Webhook Workflow');
+  console.log(`  Workflow: ${path.relative(process.cwd(), WORKFLOW_FILE)}`);
+  console.log('═'.repeat(60));
+
+  await testSearchTerms();
+  await testCartMessages();
+  await testStores();
+  await testCartMutations();
+  await testVariantSelection();
+
+  // Summary
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+  console.log('\n' + '═'.repeat(60));
+  console.log(`  Results: ${passed}/${total} tests passed`);
+  if (passed === total) {
+    console.log(`  [${PASS}] All workflow node checks passed!`);
+  } else {
+    console.log(`  [${FAIL}] ${total - passed} test(s) failed`);
+  }
+  console.log('═'.repeat(60));
+
+  process.exit(passed === total ? 0 : 1);
+}
+
+main();
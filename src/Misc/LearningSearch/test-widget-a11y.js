@@ -0,0 +1,303 @@
+/**
+ * Accessibility Test for the Chat Widget
+ *
+ * Loads src/shopify_chat_agent/chat-widget.js into jsdom with a scripted
+ * webhook and checks:
+ * 1. axe-core finds no WCAG 2.1 A/AA violations with the panel closed, open,
+ *    showing product cards and showing option chips
+ * 2. The panel is a modal dialog: Tab wraps inside it and focus returns to
+ *    the control that opened it
+ * 3. Loading state and replies are announced through the status region
+ * 4. Arrow keys move between product cards and option chips
+ * 5. Animations are switched off for prefers-reduced-motion
+ *
+ * jsdom does not lay out or paint, so axe's color-contrast rule is left to
+ * browser checks.
+ *
+ * Needs jsdom and axe-core in /tmp/node_modules (installed by bootstrap.sh).
+ *
+ * Usage: node test-widget-a11y.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const WIDGET_FILE = path.join(__dirname, '..', '..', 'shopify_chat_agent', 'chat-widget.js');
+const AXE_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'];
+
+const PASS = '\x1b[92mPASS\x1b[0m';
+const FAIL = '\x1b[91mFAIL\x1b[0m';
+const results = [];
+
+function testResult(name, passed, detail = '') {
+  const status = passed ? PASS : FAIL;
+  results.push(passed);
+  console.log(`  [${status}] ${name}`);
+  if (detail) console.log(`         ${detail.slice(0, 250)}`);
+}
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+// ─── Scripted webhook replies ─────────────────────────────
+const variant = (id, title, amount, availableForSale = true) => ({
+  id: `gid://shopify/ProductVariant/${id}`, title, availableForSale, price: { amount, currencyCode: 'USD' },
+});
+
+const PRODUCTS_REPLY = {
+  data: {
+    products: {
+      edges: [
+        { node: { id: 'gid://shopify/Product/1', title: 'Oxford "Classic" <Shirt>', handle: 'oxford-shirt',
+          images: { edges: [{ node: { url: 'https://cdn.example.com/oxford.jpg', altText: null } }] },
+          variants: { edges: [{ node: variant(11, 'S', '35.00') }, { node: variant(12, 'M', '35.00', false) }] } } },
+        { node: { id: 'gid://shopify/Product/2', title: 'Linen Dress', handle: 'linen-dress',
+          images: { edges: [{ node: { url: 'https://cdn.example.com/dress.jpg', altText: 'Model wearing a white linen dress' } }] },
+          variants: { edges: [{ node: variant(21, 'Default Title', '59.00') }] } } },
+        { node: { id: 'gid://shopify/Product/3', title: 'Leather Belt', handle: 'leather-belt',
+          images: { edges: [] },
+          variants: { edges: [{ node: variant(31, 'Default Title', '25.00') }] } } },
+      ],
+    },
+  },
+};
+
+const CHIPS_REPLY = {
+  success: true,
+  action: 'cart',
+  message: 'Which size would you like for Oxford Shirt?',
+  clarification: {
+    option: 'Size',
+    choices: ['S', 'M', 'L'].map(size => ({ label: size, message: `Add 1 Oxford Shirt, size ${size}` })),
+  },
+  items: [],
+};
+
+// ─── Harness ──────────────────────────────────────────────
+async function loadWidget(replies) {
+  const { JSDOM } = require('/tmp/node_modules/jsdom');
+  const dom = new JSDOM('<!doctype html><html lang="en"><head><title>Store</title></head><body><main><h1>Store</h1><button id="help">Help</button></main></body></html>', {
+    runScripts: 'outside-only', url: 'https://shop.example.com/', pretendToBeVisual: true,
+  });
+  const w = dom.window;
+  const queue = replies.slice();
+  w.fetch = async () => {
+    await sleep(150);
+    return new Response(JSON.stringify(queue.shift() || {}), { headers: { 'content-type': 'application/json' } });
+  };
+  w.ReadableStream = ReadableStream;
+  w.TextDecoder = TextDecoder;
+  w.eval(fs.readFileSync(WIDGET_FILE, 'utf8'));
+  w.eval(fs.readFileSync(require.resolve('/tmp/node_modules/axe-core/axe.js'), 'utf8'));
+  await sleep(20);
+
+  const root = w.document.getElementById('ai-chatbot-host').shadowRoot;
+  return {
+    w,
+    root,
+    q: (selector) => root.querySelector(selector),
+    qa: (selector) => Array.from(root.querySelectorAll(selector)),
+    active: () => root.activeElement || w.document.activeElement,
+    key: (el, key, shiftKey = false) => {
+      const event = new w.KeyboardEvent('keydown', { key, shiftKey, bubbles: true, composed: true, cancelable: true });
+      el.dispatchEvent(event);
+      return event.defaultPrevented;
+    },
+  };
+}
+
+async function axeViolations(widget) {
+  const report = await widget.w.axe.run(widget.w.document, {
+    runOnly: { type: 'tag', values: AXE_TAGS },
+    rules: { 'color-contrast': { enabled: false } },
+  });
+  return report.violations;
+}
+
+async function checkAxe(widget, state) {
+  const violations = await axeViolations(widget);
+  testResult(`No axe violations (${state})`, violations.length === 0,
+    violations.map(v => `${v.id}: ${v.nodes.map(n => n.target.join(' ')).join(', ')}`).join(' | '));
+}
+
+// ─── Test 1: axe-core ─────────────────────────────────────
+async function testAxe() {
+  console.log('\n─── Test 1: axe-core WCAG 2.1 A/AA ───');
+  const widget = await loadWidget([PRODUCTS_REPLY, CHIPS_REPLY]);
+  await checkAxe(widget, 'closed');
+
+  widget.q('.ai-chatbot-bubble').click();
+  await checkAxe(widget, 'open');
+
+  widget.q('.ai-chatbot-input').value = 'shirts';
+  widget.q('.ai-chatbot-send').click();
+  await sleep(300);
+  await checkAxe(widget, 'product cards');
+
+  widget.q('.ai-chatbot-add-to-cart').click();
+  await sleep(300);
+  await checkAxe(widget, 'option chips');
+}
+
+// ─── Test 2: Dialog and focus ─────────────────────────────
+async function testFocus() {
+  console.log('\n─── Test 2: Dialog and Focus ───');
+  const widget = await loadWidget([]);
+  const { q, active, key } = widget;
+  const bubble = q('.ai-chatbot-bubble');
+  const panel = q('.ai-chatbot-panel');
+
+  testResult('Panel is a modal dialog',
+    panel.getAttribute('role') === 'dialog' && panel.getAttribute('aria-modal') === 'true' && !!panel.getAttribute('aria-label'));
+  testResult('Bubble reports collapsed', bubble.getAttribute('aria-expanded') === 'false');
+
+  bubble.focus();
+  bubble.click();
+  testResult('Opening focuses the input', active() === q('.ai-chatbot-input'));
+  testResult('Bubble reports expanded', bubble.getAttribute('aria-expanded') === 'true');
+
+  // The send button is the last control, "New conversation" the first
+  q('.ai-chatbot-send').focus();
+  const wrapped = key(active(), 'Tab');
+  testResult('Tab from the last control wraps to the first', wrapped && active() === q('.ai-chatbot-new'),
+    `Focused: ${active() && active().className}`);
+  const wrappedBack = key(active(), 'Tab', true);
+  testResult('Shift+Tab from the first control wraps to the last', wrappedBack && active() === q('.ai-chatbot-send'),
+    `Focused: ${active() && active().className}`);
+
+  q('.ai-chatbot-close').focus();
+  q('.ai-chatbot-close').click();
+  testResult('Close button returns focus to the bubble', active() === bubble, `Focused: ${active() && active().className}`);
+
+  // A storefront button that opens the chat gets focus back on Escape
+  const help = widget.w.document.getElementById('help');
+  help.focus();
+  widget.w.ShopifyChatbot.open();
+  key(active(), 'Escape');
+  testResult('Escape returns focus to the opening control', widget.w.document.activeElement === help);
+}
+
+// ─── Test 3: Announcements ────────────────────────────────
+async function testAnnouncements() {
+  console.log('\n─── Test 3: Screen Reader Announcements ───');
+  const widget = await loadWidget([PRODUCTS_REPLY]);
+  const { q } = widget;
+  const status = q('.ai-chatbot-status');
+  const log = q('.ai-chatbot-messages');
+
+  testResult('Status region is polite and atomic',
+    status.getAttribute('role') === 'status' && status.getAttribute('aria-live') === 'polite' && status.getAttribute('aria-atomic') === 'true');
+  testResult('Message log does not announce every change', log.getAttribute('aria-live') === 'off');
+
+  q('.ai-chatbot-bubble').click();
+  q('.ai-chatbot-input').value = 'shirts';
+  q('.ai-chatbot-send').click();
+  await sleep(120);
+  testResult('Loading state is announced', /typing/i.test(status.textContent), `Status: "${status.textContent}"`);
+  testResult('Typing dots are hidden from screen readers', q('.ai-chatbot-typing')?.getAttribute('aria-hidden') === 'true');
+  testResult('Message log is busy while loading', log.getAttribute('aria-busy') === 'true');
+
+  await sleep(300);
+  const text = status.textContent;
+  testResult('Reply is announced', text.startsWith('I found 3 products: Oxford') && text.includes('Linen Dress') && text.includes('$59.00'),
+    `Status: "${text}"`);
+  testResult('Card controls are left out of the announcement', !text.includes('View product') && !text.includes('S - $35.00'),
+    `Status: "${text}"`);
+  testResult('Message log is no longer busy', !log.hasAttribute('aria-busy'));
+}
+
+// ─── Test 4: Keyboard navigation ──────────────────────────
+async function testKeyboard() {
+  console.log('\n─── Test 4: Keyboard Navigation ───');
+  const widget = await loadWidget([PRODUCTS_REPLY, CHIPS_REPLY]);
+  const { q, qa, active, key } = widget;
+
+  q('.ai-chatbot-bubble').click();
+  q('.ai-chatbot-input').value = 'shirts';
+  q('.ai-chatbot-send').click();
+  await sleep(300);
+
+  const list = q('.ai-chatbot-products');
+  const cards = qa('.ai-chatbot-product');
+  testResult('Product cards form a labelled list',
+    list && list.getAttribute('role') === 'list' && !!list.getAttribute('aria-label') && cards.every(c => c.getAttribute('role') === 'listitem'));
+  testResult('Only the first card is in the tab order', cards.map(c => c.tabIndex).join(',') === '0,-1,-1');
+  testResult('Card names keep the raw product title', cards[0].getAttribute('aria-label') === 'Oxford "Classic" <Shirt>');
+
+  const images = qa('.ai-chatbot-product-image');
+  testResult('Image next to its title has empty alt text', images[0].getAttribute('alt') === '');
+  testResult('Merchant alt text is used when set', images[1].getAttribute('alt') === 'Model wearing a white linen dress');
+
+  cards[0].focus();
+  key(cards[0], 'ArrowDown');
+  testResult('ArrowDown moves to the next card', active() === cards[1] && cards[1].tabIndex === 0 && cards[0].tabIndex === -1);
+  key(cards[1].querySelector('.ai-chatbot-add-to-cart'), 'End');
+  testResult('End moves to the last card', active() === cards[2]);
+  key(cards[2], 'Home');
+  testResult('Home moves to the first card', active() === cards[0]);
+  key(cards[0], 'ArrowUp');
+  testResult('ArrowUp stops at the first card', active() === cards[0]);
+  const select = cards[0].querySelector('.ai-chatbot-variant-select');
+  testResult('Arrow keys are left to the variant picker', !key(select, 'ArrowDown'));
+
+  cards[0].querySelector('.ai-chatbot-add-to-cart').click();
+  await sleep(300);
+  const group = q('.ai-chatbot-chips');
+  const chips = qa('.ai-chatbot-chip');
+  testResult('Option chips are a labelled group', group.getAttribute('role') === 'group' && group.getAttribute('aria-label') === 'Size');
+  chips[0].focus();
+  key(chips[0], 'ArrowRight');
+  testResult('ArrowRight moves to the next chip', active() === chips[1]);
+  key(chips[1], 'ArrowLeft');
+  testResult('ArrowLeft moves to the previous chip', active() === chips[0]);
+}
+
+// ─── Test 5: Reduced motion ───────────────────────────────
+async function testReducedMotion() {
+  console.log('\n─── Test 5: Reduced Motion ───');
+  const widget = await loadWidget([]);
+  const css = widget.q('style').textContent;
+  const block = (css.match(/@media \(prefers-reduced-motion: reduce\) \{([\s\S]*?)\n {4}\}/) || [])[1] || '';
+  testResult('Reduced-motion media query present', block.length > 0);
+  testResult('Panel slide-up is disabled', /\.ai-chatbot-panel[\s\S]*?animation: none/.test(block));
+  testResult('Typing bounce is disabled', /\.ai-chatbot-typing span[\s\S]*?animation: none/.test(block));
+}
+
+// ─── Main ─────────────────────────────────────────────────
+async function main() {
+  console.log('═'.repeat(60));
+  console.log('  Accessibility Test: Chat Widget');
+  console.log(`  Widget: ${path.relative(process.cwd(), WIDGET_FILE)}`);
+  console.log(`  axe-core rules: ${AXE_TAGS.join(', ')}`);
+  console.log('═'.repeat(60));
+
+  try {
+    require.resolve('/tmp/node_modules/jsdom');
+    require.resolve('/tmp/node_modules/axe-core');
+  } catch (e) {
+    console.log(`  [${FAIL}] jsdom and axe-core are needed in /tmp/node_modules`);
+    console.log('         Install them with: cd /tmp && npm install jsdom axe-core');
+    process.exit(1);
+  }
+
+  await testAxe();
+  await testFocus();
+  await testAnnouncements();
+  await testKeyboard();
+  await testReducedMotion();
+
+  // Summary
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+  console.log('\n' + '═'.repeat(60));
+  console.log(`  Results: ${passed}/${total} tests passed`);
+  if (passed === total) {
+    console.log(`  [${PASS}] All accessibility checks passed!`);
+  } else {
+    console.log(`  [${FAIL}] ${total - passed} test(s) failed`);
+  }
+  console.log('═'.repeat(60));
+
+  process.exit(passed === total ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,270 @@
+/**
+ * Network Error Test for the Chat Widget
+ *
+ * Loads src/shopify_chat_agent/chat-widget.js into jsdom with a scripted
+ * webhook and checks how a message gets through a failing network:
+ * 1. 503, 429 with Retry-After and a stream that ends in an error frame are
+ *    all retried with the same turnId, then the message fails with Retry
+ * 2. A network error while offline queues the message, and the browser's
+ *    "online" event sends it
+ * 3. Every user bubble keeps its own error state and Retry button
+ * 4. A failed filter-chip search restored on the next page is retried with
+ *    its query and filters
+ *
+ * Needs jsdom in /tmp/node_modules (installed by bootstrap.sh).
+ *
+ * Usage: node test-widget-network.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const WIDGET_FILE = path.join(__dirname, '..', '..', 'shopify_chat_agent', 'chat-widget.js');
+
+const PASS = '\x1b[92mPASS\x1b[0m';
+const FAIL = '\x1b[91mFAIL\x1b[0m';
+const results = [];
+
+function testResult(name, passed, detail = '') {
+  const status = passed ? PASS : FAIL;
+  results.push(passed);
+  console.log(`  [${status}] ${name}`);
+  if (detail) console.log(`         ${detail.slice(0, 250)}`);
+}
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+// ─── Scripted webhook replies ─────────────────────────────
+// n8n's streaming response made of the given frames
+const framesReply = (frames) => () => new Response(
+  frames.map(frame => JSON.stringify(frame)).join('\n') + '\n',
+  { headers: { 'content-type': 'application/x-ndjson' } }
+);
+
+const textReply = (text) => framesReply([
+  { type: 'begin', metadata: {} }, { type: 'item', content: text }, { type: 'end', metadata: {} },
+]);
+
+const statusReply = (status, headers = {}) => () => new Response('', { status, headers });
+
+const jsonReply = (data) => () => new Response(JSON.stringify(data), { headers: { 'content-type': 'application/json' } });
+
+// ─── Harness ──────────────────────────────────────────────
+// Each reply is a function returning the Response to send, or throwing like a
+// failed fetch. `setOnline` flips navigator.onLine as the browser would.
+// `storage` is the localStorage a previous page left behind.
+async function loadWidget(replies, storage = {}) {
+  const { JSDOM } = require('/tmp/node_modules/jsdom');
+  const dom = new JSDOM('<!doctype html><html lang="en"><head><title>Store</title></head><body></body></html>', {
+    runScripts: 'outside-only', url: 'https://shop.example.com/', pretendToBeVisual: true,
+  });
+  const w = dom.window;
+  let online = true;
+  Object.defineProperty(w.navigator, 'onLine', { get: () => online, configurable: true });
+  Object.entries(storage).forEach(([key, value]) => w.localStorage.setItem(key, value));
+
+  const queue = replies.slice();
+  const requests = [];
+  w.fetch = async (url, init = {}) => {
+    requests.push({ at: Date.now(), body: JSON.parse(init.body) });
+    await sleep(50);
+    return queue.shift()();
+  };
+  w.ReadableStream = ReadableStream;
+  w.TextDecoder = TextDecoder;
+  w.console.error = () => {};
+  w.eval(fs.readFileSync(WIDGET_FILE, 'utf8'));
+  await sleep(20);
+
+  const errors = [];
+  w.ShopifyChatbot.on('error', (detail) => errors.push(detail));
+
+  const root = w.document.getElementById('ai-chatbot-host').shadowRoot;
+  const q = (selector) => root.querySelector(selector);
+  const qa = (selector) => Array.from(root.querySelectorAll(selector));
+  q('.ai-chatbot-bubble').click();
+  return {
+    w,
+    q,
+    qa,
+    requests,
+    errors,
+    setOnline: (value) => {
+      online = value;
+      w.dispatchEvent(new w.Event(value ? 'online' : 'offline'));
+    },
+    userBubbles: () => qa('.ai-chatbot-message.user'),
+    assistantReplies: () => qa('.ai-chatbot-message.assistant').slice(1).map(m => m.textContent),
+    // The note under a user bubble, if any
+    stateOf: (msg) => {
+      const note = msg.nextElementSibling;
+      return note && note.classList.contains('ai-chatbot-message-state') ? note : null;
+    },
+    ask: (text) => {
+      q('.ai-chatbot-input').value = text;
+      q('.ai-chatbot-send').click();
+    },
+  };
+}
+
+// ─── Test 1: Retries ──────────────────────────────────────
+async function testRetries() {
+  console.log('\n─── Test 1: Retries ───');
+  const widget = await loadWidget([
+    statusReply(503),
+    statusReply(429, { 'Retry-After': '1' }),
+    framesReply([{ type: 'begin', metadata: {} }, { type: 'error', content: 'Workflow failed' }, { type: 'end', metadata: {} }]),
+  ]);
+  const { requests, errors, userBubbles, assistantReplies, stateOf, ask } = widget;
+
+  ask('linen shirts');
+  await sleep(2600);
+  testResult('503, 429 and an error frame each get a request', requests.length === 3, `Requests: ${requests.length}`);
+  testResult('Every attempt carries the same turnId',
+    requests.length === 3 && !!requests[0].body.turnId && requests.every(r => r.body.turnId === requests[0].body.turnId));
+  const gaps = requests.slice(1).map((r, i) => r.at - requests[i].at);
+  testResult('503 waits the base delay, 429 waits Retry-After', gaps.length === 2 && gaps[0] >= 1000 && gaps[0] < 1500 && gaps[1] >= 1000 && gaps[1] < 1500,
+    `Gaps: ${gaps.join(', ')} ms`);
+
+  const state = stateOf(userBubbles()[0]);
+  testResult('The message fails once the retries run out',
+    !!state && state.classList.contains('failed') && state.textContent.startsWith('The assistant is unavailable right now.') && !!state.querySelector('.ai-chatbot-retry'),
+    `State: "${state ? state.textContent : ''}"`);
+  testResult('No reply is shown for the failed message', assistantReplies().length === 0, `Replies: ${JSON.stringify(assistantReplies())}`);
+  testResult('The failure is emitted as an error event', errors.length === 1 && errors[0].code === 'server', JSON.stringify(errors));
+}
+
+// ─── Test 2: Offline ──────────────────────────────────────
+async function testOffline() {
+  console.log('\n─── Test 2: Offline ───');
+  let widget;
+  widget = await loadWidget([
+    () => {
+      widget.setOnline(false);
+      throw new TypeError('Failed to fetch');
+    },
+    textReply('Back online: here are the shirts.'),
+  ]);
+  const { requests, setOnline, userBubbles, assistantReplies, stateOf, ask } = widget;
+
+  ask('linen shirts');
+  await sleep(200);
+  const msg = userBubbles()[0];
+  const state = stateOf(msg);
+  testResult('A network error while offline queues the message',
+    msg.classList.contains('queued') && !!state && state.textContent === "You're offline. This message will be sent when you're back online.",
+    `State: "${state ? state.textContent : ''}"`);
+  testResult('A queued message is not failed or retried', !msg.classList.contains('failed') && requests.length === 1, `Requests: ${requests.length}`);
+
+  setOnline(true);
+  await sleep(200);
+  testResult('"online" sends the queued message', requests.length === 2 && requests[1].body.turnId === requests[0].body.turnId,
+    `Requests: ${requests.length}`);
+  testResult('The queued message gets its reply', !stateOf(msg) && !msg.classList.contains('queued') && assistantReplies()[0] === 'Back online: here are the shirts.',
+    `Replies: ${JSON.stringify(assistantReplies())}`);
+}
+
+// ─── Test 3: Error state per message ──────────────────────
+async function testMessageState() {
+  console.log('\n─── Test 3: Error State per Message ───');
+  const widget = await loadWidget([
+    statusReply(400),
+    () => { throw new TypeError('Failed to fetch'); },
+    textReply('Here are the belts.'),
+    textReply('Here are the dresses.'),
+  ]);
+  const { q, requests, userBubbles, assistantReplies, stateOf, ask } = widget;
+
+  ask('shirts');
+  await sleep(200);
+  ask('dresses');
+  await sleep(200);
+  ask('belts');
+  await sleep(200);
+  const [first, second, third] = userBubbles();
+  testResult('A 4xx reply fails only its own message', !!stateOf(first) && stateOf(first).textContent.startsWith("The assistant couldn't handle this message."),
+    `State: "${stateOf(first)?.textContent || ''}"`);
+  testResult('A network error while online fails only its own message', !!stateOf(second) && stateOf(second).textContent.startsWith("Couldn't reach the assistant. Check your connection."),
+    `State: "${stateOf(second)?.textContent || ''}"`);
+  testResult('A later message still gets its reply', !stateOf(third) && assistantReplies()[0] === 'Here are the belts.',
+    `Replies: ${JSON.stringify(assistantReplies())}`);
+
+  stateOf(second).querySelector('.ai-chatbot-retry').click();
+  await sleep(200);
+  testResult('Retry resends that message with its turnId', requests.length === 4 && requests[3].body.message === 'dresses' && requests[3].body.turnId === requests[1].body.turnId);
+  testResult('Retry clears only that message\'s error', !stateOf(second) && !!stateOf(first) && assistantReplies()[1] === 'Here are the dresses.',
+    `Replies: ${JSON.stringify(assistantReplies())}`);
+  testResult('Failed messages are not left busy', !q('.ai-chatbot-typing'));
+}
+
+// ─── Test 4: Retry after a page load ──────────────────────
+async function testRetryAfterReload() {
+  console.log('\n─── Test 4: Retry After a Page Load ───');
+  const dresses = {
+    data: { products: { edges: [{ node: { id: 'gid://shopify/Product/2', title: 'Linen Dress', handle: 'linen-dress', images: { edges: [] },
+      variants: { edges: [{ node: { id: 'gid://shopify/ProductVariant/21', title: 'Default Title', availableForSale: true, price: { amount: '45.00', currencyCode: 'USD' } } }] } } }] } },
+    searchQuery: 'dresses',
+    filters: { color: 'red', priceMax: 50 },
+    currencyCode: 'USD',
+  };
+  const page = await loadWidget([jsonReply(dresses), statusReply(400)]);
+  page.ask('red dresses under $50');
+  await sleep(200);
+  page.q('.ai-chatbot-filter').click();
+  await sleep(200);
+  const sent = page.requests[1] ? page.requests[1].body : {};
+  testResult('Removing a filter chip fails with its search', sent.action === 'search' && sent.query === 'dresses' && JSON.stringify(sent.filters) === '{"priceMax":50}'
+    && !!page.stateOf(page.userBubbles()[1]), JSON.stringify(sent));
+
+  page.w.dispatchEvent(new page.w.Event('pagehide'));
+  const storage = Object.fromEntries(Object.keys(page.w.localStorage).map(key => [key, page.w.localStorage.getItem(key)]));
+  const next = await loadWidget([textReply('Here are dresses under $50.')], storage);
+  const failed = next.userBubbles()[1];
+  testResult('The failed chip is restored with a Retry button', !!failed && !!next.stateOf(failed) && !!next.stateOf(failed).querySelector('.ai-chatbot-retry'));
+
+  next.stateOf(failed).querySelector('.ai-chatbot-retry').click();
+  await sleep(200);
+  const retried = next.requests[0] ? next.requests[0].body : {};
+  testResult('Retry on the next page sends the query and filters again',
+    retried.action === 'search' && retried.query === 'dresses' && JSON.stringify(retried.filters) === '{"priceMax":50}' && retried.turnId === sent.turnId,
+    JSON.stringify(retried));
+  testResult('The retried search gets its reply', !next.stateOf(failed) && next.assistantReplies().includes('Here are dresses under $50.'),
+    `Replies: ${JSON.stringify(next.assistantReplies())}`);
+}
+
+// ─── Main ─────────────────────────────────────────────────
+async function main() {
+  console.log('═'.repeat(60));
+  console.log('  Network Error Test: Chat Widget');
+  console.log(`  Widget: ${path.relative(process.cwd(), WIDGET_FILE)}`);
+  console.log('═'.repeat(60));
+
+  try {
+    require.resolve('/tmp/node_modules/jsdom');
+  } catch (e) {
+    console.log(`  [${FAIL}] jsdom is needed in /tmp/node_modules`);
+    console.log('         Install it with: cd /tmp && npm install jsdom');
+    process.exit(1);
+  }
+
+  await testRetries();
+  await testOffline();
+  await testMessageState();
+  await testRetryAfterReload();
+
+  // Summary
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+  console.log('\n' + '═'.repeat(60));
+  console.log(`  Results: ${passed}/${total} tests passed`);
+  if (passed === total) {
+    console.log(`  [${PASS}] All network checks passed!`);
+  } else {
+    console.log(`  [${FAIL}] ${total - passed} test(s) failed`);
+  }
+  console.log('═'.repeat(60));
+
+  process.exit(passed === total ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,262 @@
+/**
+ * Sanitizer Test for the Chat Widget
+ *
+ * Loads src/shopify_chat_agent/chat-widget.js into jsdom with a scripted
+ * webhook and checks that markup from replies, product data and the page
+ * never becomes live HTML in the chat:
+ * 1. <script> and <img onerror> in replies and product titles show as text,
+ *    and a javascript: image URL is dropped
+ * 2. Markdown links keep only http(s) URLs on the store's hosts; javascript:,
+ *    data: and vbscript: links and other hosts keep just their label
+ * 3. HTML passed to addSystemMessage loses style and event attributes,
+ *    <style>, <iframe> and <svg>, and unsafe link and image URLs
+ * 4. Checkout links are kept for the checkout URL the workflow returned, and
+ *    dropped for hosts that are not on the allowlist
+ *
+ * Needs jsdom in /tmp/node_modules (installed by bootstrap.sh).
+ *
+ * Usage: node test-widget-sanitizer.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const WIDGET_FILE = path.join(__dirname, '..', '..', 'shopify_chat_agent', 'chat-widget.js');
+
+const PASS = '\x1b[92mPASS\x1b[0m';
+const FAIL = '\x1b[91mFAIL\x1b[0m';
+const results = [];
+
+function testResult(name, passed, detail = '') {
+  const status = passed ? PASS : FAIL;
+  results.push(passed);
+  console.log(`  [${status}] ${name}`);
+  if (detail) console.log(`         ${detail.slice(0, 250)}`);
+}
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+// ─── Scripted webhook replies ─────────────────────────────
+// An LLM-formatted reply, rendered as Markdown
+const textReply = (text) => ({ output: text });
+
+const checkoutReply = (checkoutUrl) => ({
+  success: true,
+  action: 'checkout',
+  cartId: 'gid://shopify/Cart/c1',
+  checkoutUrl,
+  message: 'Your order: Linen Shirt x1 - $35.00.',
+  items: [{ title: 'Linen Shirt', quantity: 1 }],
+});
+
+// ─── Harness ──────────────────────────────────────────────
+async function loadWidget(replies) {
+  const { JSDOM } = require('/tmp/node_modules/jsdom');
+  const dom = new JSDOM('<!doctype html><html lang="en"><head><title>Store</title></head><body></body></html>', {
+    runScripts: 'outside-only', url: 'https://shop.example.com/', pretendToBeVisual: true,
+  });
+  const w = dom.window;
+  const queue = replies.slice();
+  w.fetch = async () => {
+    await sleep(50);
+    return new Response(JSON.stringify(queue.shift() || {}), { headers: { 'content-type': 'application/json' } });
+  };
+  w.ReadableStream = ReadableStream;
+  w.TextDecoder = TextDecoder;
+  w.eval(fs.readFileSync(WIDGET_FILE, 'utf8'));
+  await sleep(20);
+
+  const root = w.document.getElementById('ai-chatbot-host').shadowRoot;
+  const q = (selector) => root.querySelector(selector);
+  q('.ai-chatbot-bubble').click();
+  return {
+    w,
+    lastReply: () => Array.from(root.querySelectorAll('.ai-chatbot-message.assistant, .ai-chatbot-message.system')).pop(),
+    ask: async (text) => {
+      q('.ai-chatbot-input').value = text;
+      q('.ai-chatbot-send').click();
+      await sleep(200);
+    },
+  };
+}
+
+// Anything in `el` that could run script, restyle the page or leave the store
+const unsafeMarkup = (el) => {
+  const found = [];
+  el.querySelectorAll('*').forEach(node => {
+    if (['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'SVG', 'FORM'].includes(node.tagName.toUpperCase())) found.push(`<${node.tagName.toLowerCase()}>`);
+    Array.from(node.attributes).forEach(({ name, value }) => {
+      if (name.startsWith('on') || name === 'style') found.push(`${name}=`);
+      if ((name === 'href' || name === 'src') && !/^https?:\/\//.test(value)) found.push(`${name}="${value}"`);
+    });
+  });
+  return found;
+};
+
+const links = (el) => Array.from(el.querySelectorAll('a')).map(a => a.getAttribute('href'));
+
+// ─── Test 1: Markup in replies ────────────────────────────
+async function testReplies() {
+  console.log('\n─── Test 1: Markup in Replies ───');
+  const widget = await loadWidget([
+    textReply('<script>window.pwned = true</script> Our **best** pick <img src=x onerror="window.pwned = true">'),
+    {
+      data: {
+        products: {
+          edges: [{ node: {
+            id: 'gid://shopify/Product/1', title: '<img src=x onerror="window.pwned = true">Linen Shirt', handle: 'linen-shirt',
+            images: { edges: [{ node: { url: 'javascript:window.pwned = true', altText: '<script>x</script>' } }] },
+            variants: { edges: [{ node: { id: 'gid://shopify/ProductVariant/11', title: '<b onmouseover="x()">S</b>', availableForSale: true, price: { amount: '35.00', currencyCode: 'USD' } } }] },
+          } }],
+        },
+      },
+    },
+  ]);
+  const { w, lastReply, ask } = widget;
+
+  await ask('what do you recommend?');
+  const text = lastReply();
+  testResult('<script> and <img onerror> in a reply show as text',
+    text.textContent.includes('<script>window.pwned = true</script>') && text.textContent.includes('<img src=x onerror=') && unsafeMarkup(text).length === 0 && !text.querySelector('img'),
+    `Bubble: "${text.innerHTML.slice(0, 200)}"`);
+  testResult('Markdown still renders next to them', !!text.querySelector('strong') && text.querySelector('strong').textContent === 'best');
+
+  await ask('linen shirts');
+  const card = lastReply();
+  testResult('Markup in a product title shows as text',
+    card.querySelector('.ai-chatbot-product-title').textContent === '<img src=x onerror="window.pwned = true">Linen Shirt' && unsafeMarkup(card).length === 0,
+    unsafeMarkup(card).join(', '));
+  const image = card.querySelector('.ai-chatbot-product-image');
+  testResult('A javascript: image URL is dropped', !!image && !image.hasAttribute('src'), image ? image.outerHTML : 'no image');
+  testResult('Nothing ran', w.pwned === undefined);
+}
+
+// ─── Test 2: Links in replies ─────────────────────────────
+async function testLinks() {
+  console.log('\n─── Test 2: Links in Replies ───');
+  const widget = await loadWidget([
+    textReply([
+      'See [the shirt](https://shop.example.com/products/linen-shirt).',
+      '[script](javascript:window.pwned=true) [JS](JaVaScRiPt:window.pwned=true)',
+      '[data](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==) [vb](vbscript:msgbox)',
+      '[elsewhere](https://evil.example.net/products/linen-shirt) https://evil.example.net/offer',
+    ].join('\n')),
+  ]);
+  const { lastReply, ask } = widget;
+
+  await ask('linen shirt');
+  const reply = lastReply();
+  const anchors = Array.from(reply.querySelectorAll('a'));
+  testResult('Only the link to the store is kept', anchors.length === 1 && anchors[0].getAttribute('href') === 'https://shop.example.com/products/linen-shirt',
+    `Links: ${JSON.stringify(links(reply))}`);
+  testResult('It opens in a new tab without an opener',
+    anchors.length === 1 && anchors[0].getAttribute('target') === '_blank' && anchors[0].getAttribute('rel') === 'noopener noreferrer');
+  testResult('javascript:, data: and vbscript: links keep only their label',
+    ['script', 'JS', 'data', 'vb'].every(label => reply.textContent.includes(label)) && unsafeMarkup(reply).length === 0,
+    unsafeMarkup(reply).join(', '));
+  testResult('Links to other hosts keep only their text',
+    reply.textContent.includes('elsewhere') && reply.textContent.includes('https://evil.example.net/offer'));
+}
+
+// ─── Test 3: System messages ──────────────────────────────
+async function testSystemMessages() {
+  console.log('\n─── Test 3: System Messages ───');
+  const { w, lastReply } = await loadWidget([]);
+
+  w.ShopifyChatbot.addSystemMessage([
+    '<p style="position:fixed;inset:0" onclick="window.pwned = true">Free shipping <strong>today</strong></p>',
+    '<style>body { display: none }</style><iframe src="https://evil.example.net/"></iframe>',
+    '<svg onload="window.pwned = true"><circle r="5"></circle></svg>',
+    '<a href=" JavaScript:window.pwned = true">offer</a> <a href="data:text/html,<script>alert(1)</script>">details</a>',
+    '<a href="https://shop.example.com/pages/shipping" style="color:red" onmouseover="window.pwned = true">shipping</a>',
+    '<img src="javascript:window.pwned = true" onerror="window.pwned = true" alt="banner">',
+    '<form action="https://evil.example.net/"><input name="card"><button>Pay</button></form>',
+  ].join(''));
+  await sleep(50);
+  const msg = lastReply();
+
+  testResult('style and event attributes are removed', !!msg.querySelector('p') && unsafeMarkup(msg).filter(s => s === 'style=' || s.startsWith('on')).length === 0,
+    unsafeMarkup(msg).join(', '));
+  testResult('Allowed markup is kept', !!msg.querySelector('p strong') && msg.querySelector('p').textContent === 'Free shipping today');
+  testResult('<style>, <iframe>, <svg> and <form> are dropped', !msg.querySelector('style, iframe, svg, form, input') && !msg.textContent.includes('display'),
+    `Message: "${msg.innerHTML.slice(0, 200)}"`);
+  testResult('javascript: and data: links keep only their label',
+    JSON.stringify(links(msg)) === '["https://shop.example.com/pages/shipping"]' && msg.textContent.includes('offer') && msg.textContent.includes('details'),
+    `Links: ${JSON.stringify(links(msg))}`);
+  const image = msg.querySelector('img');
+  testResult('A javascript: image keeps no src', !!image && !image.hasAttribute('src') && !image.hasAttribute('onerror'), image ? image.outerHTML : 'no image');
+  testResult('Nothing is left that could run or restyle the page', unsafeMarkup(msg).length === 0 && w.pwned === undefined, unsafeMarkup(msg).join(', '));
+}
+
+// ─── Test 4: Checkout links ───────────────────────────────
+async function testCheckoutLinks() {
+  console.log('\n─── Test 4: Checkout Links ───');
+  const checkoutUrl = 'https://pay.example-checkout.com/checkouts/cn/c1';
+  const widget = await loadWidget([
+    textReply('[Pay here](https://evil.example.net/checkouts/cn/c1)'),
+    checkoutReply(checkoutUrl),
+    textReply('[Resume checkout](https://pay.example-checkout.com/checkouts/cn/c1) or [pay elsewhere](https://evil.example.net/checkouts/cn/c1)'),
+    checkoutReply('https://evil.example.net/account/login'),
+    checkoutReply('javascript:window.pwned = true'),
+  ]);
+  const { w, lastReply, ask } = widget;
+
+  await ask('pay');
+  testResult('A checkout link to a host the workflow never returned is dropped', links(lastReply()).length === 0,
+    `Links: ${JSON.stringify(links(lastReply()))}`);
+
+  await ask('checkout');
+  const button = lastReply().querySelector('a.ai-chatbot-btn');
+  testResult('The checkout URL from a cart reply becomes the checkout button', !!button && button.getAttribute('href') === checkoutUrl,
+    `Links: ${JSON.stringify(links(lastReply()))}`);
+
+  await ask('where do I pay?');
+  testResult('Links to that checkout host are then allowed, other hosts still are not',
+    JSON.stringify(links(lastReply())) === JSON.stringify([checkoutUrl]) && lastReply().textContent.includes('pay elsewhere'),
+    `Links: ${JSON.stringify(links(lastReply()))}`);
+
+  await ask('checkout');
+  testResult('A checkoutUrl that is not a checkout page on another host gets no link',
+    links(lastReply()).length === 0 && lastReply().textContent.includes('Proceed to Checkout'), `Links: ${JSON.stringify(links(lastReply()))}`);
+
+  await ask('checkout');
+  testResult('A javascript: checkoutUrl gets no link', links(lastReply()).length === 0 && unsafeMarkup(lastReply()).length === 0 && w.pwned === undefined,
+    `Links: ${JSON.stringify(links(lastReply()))}`);
+}
+
+// ─── Main ─────────────────────────────────────────────────
+async function main() {
+  console.log('═'.repeat(60));
+  console.log('  Sanitizer Test: Chat Widget');
+  console.log(`  Widget: ${path.relative(process.cwd(), WIDGET_FILE)}`);
+  console.log('═'.repeat(60));
+
+  try {
+    require.resolve('/tmp/node_modules/jsdom');
+  } catch (e) {
+    console.log(`  [${FAIL}] jsdom is needed in /tmp/node_modules`);
+    console.log('         Install it with: cd /tmp && npm install jsdom');
+    process.exit(1);
+  }
+
+  await testReplies();
+  await testLinks();
+  await testSystemMessages();
+  await testCheckoutLinks();
+
+  // Summary
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+  console.log('\n' + '═'.repeat(60));
+  console.log(`  Results: ${passed}/${total} tests passed`);
+  if (passed === total) {
+    console.log(`  [${PASS}] All sanitizer checks passed!`);
+  } else {
+    console.log(`  [${FAIL}] ${total - passed} test(s) failed`);
+  }
+  console.log('═'.repeat(60));
+
+  process.exit(passed === total ? 0 : 1);
+}
+
+main();
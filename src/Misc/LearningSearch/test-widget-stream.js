@@ -0,0 +1,243 @@
+/**
+ * Streaming Test for the Chat Widget
+ *
+ * Loads src/shopify_chat_agent/chat-widget.js into jsdom with webhook replies
+ * whose bodies arrive in several network chunks, cut mid-line and mid-string
+ * as a proxy or the network may deliver them, and checks:
+ * 1. n8n's streaming response (newline-delimited begin/item/end frames)
+ *    renders frame by frame and is announced once complete
+ * 2. A structured reply streamed as JSON waits for the end of the stream and
+ *    renders as product cards, never as raw text
+ * 3. Server-Sent Events (OpenAI-style deltas) render delta by delta
+ * 4. The workflow's AI Agent text streams ahead of the product cards, which
+ *    render under it; an agent that fails does not fail the reply
+ *
+ * Needs jsdom in /tmp/node_modules (installed by bootstrap.sh).
+ *
+ * Usage: node test-widget-stream.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const WIDGET_FILE = path.join(__dirname, '..', '..', 'shopify_chat_agent', 'chat-widget.js');
+
+const PASS = '\x1b[92mPASS\x1b[0m';
+const FAIL = '\x1b[91mFAIL\x1b[0m';
+const results = [];
+
+function testResult(name, passed, detail = '') {
+  const status = passed ? PASS : FAIL;
+  results.push(passed);
+  console.log(`  [${status}] ${name}`);
+  if (detail) console.log(`         ${detail.slice(0, 250)}`);
+}
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+// ─── Scripted webhook replies ─────────────────────────────
+const variant = (id, title, amount) => ({
+  id: `gid://shopify/ProductVariant/${id}`, title, availableForSale: true, price: { amount, currencyCode: 'USD' },
+});
+
+const PRODUCTS_REPLY = {
+  data: {
+    products: {
+      edges: [
+        { node: { id: 'gid://shopify/Product/1', title: 'Oxford Shirt', handle: 'oxford-shirt', images: { edges: [] },
+          variants: { edges: [{ node: variant(11, 'S', '35.00') }, { node: variant(12, 'M', '35.00') }] } } },
+        { node: { id: 'gid://shopify/Product/2', title: 'Linen Dress', handle: 'linen-dress', images: { edges: [] },
+          variants: { edges: [{ node: variant(21, 'Default Title', '59.00') }] } } },
+        { node: { id: 'gid://shopify/Product/3', title: 'Leather Belt', handle: 'leather-belt', images: { edges: [] },
+          variants: { edges: [{ node: variant(31, 'Default Title', '25.00') }] } } },
+      ],
+    },
+  },
+};
+
+// A webhook response whose body arrives in `chunks`, `gap` ms apart
+const streamedReply = (chunks, contentType, gap = 200) => () => new Response(new ReadableStream({
+  async start(controller) {
+    for (const chunk of chunks) {
+      controller.enqueue(new TextEncoder().encode(chunk));
+      await sleep(gap);
+    }
+    controller.close();
+  },
+}), { headers: { 'content-type': contentType } });
+
+// ─── Harness ──────────────────────────────────────────────
+// Each reply is a function returning the Response to send
+async function loadWidget(replies) {
+  const { JSDOM } = require('/tmp/node_modules/jsdom');
+  const dom = new JSDOM('<!doctype html><html lang="en"><head><title>Store</title></head><body></body></html>', {
+    runScripts: 'outside-only', url: 'https://shop.example.com/', pretendToBeVisual: true,
+  });
+  const w = dom.window;
+  const queue = replies.slice();
+  w.fetch = async () => {
+    await sleep(150);
+    return queue.shift()();
+  };
+  w.ReadableStream = ReadableStream;
+  w.TextDecoder = TextDecoder;
+  w.eval(fs.readFileSync(WIDGET_FILE, 'utf8'));
+  await sleep(20);
+
+  const root = w.document.getElementById('ai-chatbot-host').shadowRoot;
+  const q = (selector) => root.querySelector(selector);
+  const qa = (selector) => Array.from(root.querySelectorAll(selector));
+  q('.ai-chatbot-bubble').click();
+  return {
+    w,
+    q,
+    qa,
+    status: q('.ai-chatbot-status'),
+    lastReply: () => qa('.ai-chatbot-message.assistant').pop(),
+    ask: (text) => {
+      q('.ai-chatbot-input').value = text;
+      q('.ai-chatbot-send').click();
+    },
+  };
+}
+
+// ─── Test 1: n8n frames ───────────────────────────────────
+async function testFrames() {
+  console.log('\n─── Test 1: n8n Streaming Frames ───');
+  const widget = await loadWidget([
+    streamedReply([
+      '{"type":"begin","metadata":{"nodeName":"Respond to Webhook"}}\n{"type":"item","content":"Your cart has ',
+      '2 items"}\n{"type":"item","content":" and comes to "}\n',
+      '{"type":"item","content":"**$70.00**."}\n{"type":"end","metadata":{}}\n',
+    ], 'application/x-ndjson'),
+  ]);
+  const { q, status, lastReply, ask } = widget;
+
+  const greeting = lastReply();
+  ask('what is in my cart?');
+  await sleep(250);
+  testResult('Half a frame renders nothing', lastReply() === greeting && !!q('.ai-chatbot-typing'));
+  await sleep(200);
+  testResult('Complete frames render before the stream ends', lastReply() !== greeting && lastReply().textContent === 'Your cart has 2 items and comes to ',
+    `Bubble: "${lastReply().textContent}"`);
+  testResult('Partial text is not announced', !status.textContent.includes('Your cart'), `Status: "${status.textContent}"`);
+  await sleep(550);
+  testResult('Finished stream renders the whole reply', lastReply().innerHTML === 'Your cart has 2 items and comes to <strong>$70.00</strong>.',
+    `Bubble: "${lastReply().innerHTML}"`);
+  testResult('Finished stream is announced', status.textContent === 'Your cart has 2 items and comes to $70.00.', `Status: "${status.textContent}"`);
+}
+
+// ─── Test 2: Streamed JSON ────────────────────────────────
+async function testStreamedJson() {
+  console.log('\n─── Test 2: Streamed JSON ───');
+  const products = JSON.stringify(PRODUCTS_REPLY);
+  const widget = await loadWidget([
+    streamedReply([
+      `{"type":"begin","metadata":{}}\n{"type":"item","content":${JSON.stringify(products.slice(0, 40))}}\n{"type":"item","content":`,
+      `${JSON.stringify(products.slice(40))}}\n`,
+      '{"type":"end","metadata":{}}\n',
+    ], 'application/x-ndjson'),
+  ]);
+  const { q, qa, ask } = widget;
+
+  ask('shirts');
+  await sleep(450);
+  testResult('Streamed JSON is not shown as raw text',
+    !qa('.ai-chatbot-message.assistant').some(m => m.textContent.includes('{"data"')) && !!q('.ai-chatbot-typing'));
+  await sleep(400);
+  testResult('Streamed JSON renders as product cards once complete', qa('.ai-chatbot-product').length === 3);
+}
+
+// ─── Test 3: Server-Sent Events ───────────────────────────
+async function testServerSentEvents() {
+  console.log('\n─── Test 3: Server-Sent Events ───');
+  const widget = await loadWidget([
+    streamedReply([
+      'data: {"choices":[{"delta":{"content":"Linen breathes"}}]}\n\ndata: {"choices":[{"del',
+      'ta":{"content":" well in summer."}}]}\n\ndata: [DONE]\n\n',
+    ], 'text/event-stream'),
+  ]);
+  const { lastReply, ask } = widget;
+
+  ask('is linen good for summer?');
+  await sleep(250);
+  testResult('Server-Sent Events render delta by delta', lastReply().textContent === 'Linen breathes', `Bubble: "${lastReply().textContent}"`);
+  await sleep(400);
+  testResult('Server-Sent Events end with the whole reply', lastReply().textContent === 'Linen breathes well in summer.',
+    `Bubble: "${lastReply().textContent}"`);
+}
+
+// ─── Test 4: AI Agent Reply Before Results ────────────────
+async function testAgentReply() {
+  console.log('\n─── Test 4: AI Agent Reply Before Results ───');
+  const lead = 'Here are three pieces for warm days.';
+  // Respond to Webhook streams the Set node's { response } as one frame
+  const respond = (data) => [
+    '{"type":"begin","metadata":{"nodeName":"Respond to Webhook"}}\n',
+    `{"type":"item","content":${JSON.stringify(JSON.stringify({ response: JSON.stringify(data) }))}}\n{"type":"end","metadata":{}}\n`,
+  ];
+  const widget = await loadWidget([
+    streamedReply([
+      '{"type":"begin","metadata":{"nodeName":"AI Agent – Write Reply"}}\n{"type":"item","content":"Here are three"}\n',
+      '{"type":"item","content":" pieces for warm days."}\n{"type":"end","metadata":{"nodeName":"AI Agent – Write Reply"}}\n',
+      ...respond({ ...PRODUCTS_REPLY, reply: lead }),
+    ], 'application/x-ndjson'),
+    streamedReply([
+      '{"type":"begin","metadata":{"nodeName":"AI Agent – Write Reply"}}\n{"type":"error","content":"Model unavailable"}\n',
+      ...respond(PRODUCTS_REPLY),
+    ], 'application/x-ndjson'),
+  ]);
+  const { q, qa, lastReply, ask } = widget;
+
+  ask('summer clothes');
+  await sleep(250);
+  testResult('Agent text streams before the results', lastReply().textContent === 'Here are three', `Bubble: "${lastReply().textContent}"`);
+  await sleep(400);
+  testResult('Agent text stays up while the results arrive', lastReply().textContent === lead && qa('.ai-chatbot-product').length === 0,
+    `Bubble: "${lastReply().textContent}"`);
+  await sleep(400);
+  testResult('Product cards render under the agent text', qa('.ai-chatbot-product').length === 3 && lastReply().textContent.startsWith(lead),
+    `Bubble: "${lastReply().textContent.slice(0, 80)}"`);
+
+  ask('more summer clothes');
+  await sleep(1000);
+  testResult('A failed agent still shows the results', qa('.ai-chatbot-product').length === 6 && lastReply().textContent.startsWith('I found')
+    && !q('.ai-chatbot-message-state.failed'), `Bubble: "${lastReply().textContent.slice(0, 80)}"`);
+}
+
+// ─── Main ─────────────────────────────────────────────────
+async function main() {
+  console.log('═'.repeat(60));
+  console.log('  Streaming Test: Chat Widget');
+  console.log(`  Widget: ${path.relative(process.cwd(), WIDGET_FILE)}`);
+  console.log('═'.repeat(60));
+
+  try {
+    require.resolve('/tmp/node_modules/jsdom');
+  } catch (e) {
+    console.log(`  [${FAIL}] jsdom is needed in /tmp/node_modules`);
+    console.log('         Install it with: cd /tmp && npm install jsdom');
+    process.exit(1);
+  }
+
+  await testFrames();
+  await testStreamedJson();
+  await testServerSentEvents();
+  await testAgentReply();
+
+  // Summary
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+  console.log('\n' + '═'.repeat(60));
+  console.log(`  Results: ${passed}/${total} tests passed`);
+  if (passed === total) {
+    console.log(`  [${PASS}] All streaming checks passed!`);
+  } else {
+    console.log(`  [${FAIL}] ${total - passed} test(s) failed`);
+  }
+  console.log('═'.repeat(60));
+
+  process.exit(passed === total ? 0 : 1);
+}
+
+main();
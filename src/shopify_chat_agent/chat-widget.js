@@ -7,34 +7,829 @@
   'use strict';
 
   // Configuration
-  const getWebhookUrl = () => {
-    if (window.CHATBOT_CONFIG && window.CHATBOT_CONFIG.webhookUrl) {
-      return window.CHATBOT_CONFIG.webhookUrl;
+  // document.currentScript is only set while this file first runs
+  const currentScript = document.currentScript;
+
+  // Read a setting from CHATBOT_CONFIG, then data-* attributes on the script
+  // tag or #ai-chatbot-root (key 'webhookUrl' reads data-webhook-url)
+  const getConfigValue = (key) => {
+    if (window.CHATBOT_CONFIG && window.CHATBOT_CONFIG[key]) {
+      return window.CHATBOT_CONFIG[key];
     }
-    const script = document.currentScript || document.querySelector('script[data-webhook-url]');
-    if (script && script.dataset.webhookUrl) {
-      return script.dataset.webhookUrl;
+    const attr = `data-${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+    const script = currentScript && currentScript.hasAttribute(attr) ? currentScript : document.querySelector(`script[${attr}]`);
+    if (script && script.dataset[key]) {
+      return script.dataset[key];
     }
     const root = document.getElementById('ai-chatbot-root');
-    if (root && root.dataset.webhookUrl) {
-      return root.dataset.webhookUrl;
+    if (root && root.dataset[key]) {
+      return root.dataset[key];
+    }
+    return null;
+  };
+
+  const getWebhookUrl = () => getConfigValue('webhookUrl') || 'http://localhost:5678/webhook/shopify-chat';
+
+  // Base for "View product" links; empty means the storefront the widget runs on
+  const getStoreUrl = () => (getConfigValue('storeUrl') || '').replace(/\/+$/, '');
+
+  // Store identifier for multi-store webhooks; Shopify themes expose the shop domain
+  const getStoreId = () => getConfigValue('storeId') || (window.Shopify && window.Shopify.shop) || null;
+
+  // Widget text per language. The locale comes from CHATBOT_CONFIG.locale (or
+  // data-locale), then Shopify.locale, <html lang> and the browser language;
+  // missing keys fall back to English. CHATBOT_CONFIG.translations adds or
+  // overrides languages, e.g. { nl: { addToCart: 'In winkelwagen' } }.
+  // Values may be { one, other, ... } objects chosen with Intl.PluralRules.
+  const LOCALES = {
+    en: {
+      greeting: "Hi! I'm Selvia, your shopping assistant. I can help you find products, add items to your cart, and checkout. What are you looking for?",
+      footerText: 'Powered by Selvia',
+      openChat: 'Chat with {title}',
+      panelLabel: '{title} chat',
+      newConversation: 'New conversation',
+      closeChat: 'Close chat',
+      inputPlaceholder: 'Ask about products...',
+      inputLabel: 'Type your message',
+      sendMessage: 'Send message',
+      conversationLabel: 'Conversation',
+      productsLabel: 'Products',
+      typing: '{title} is typing…',
+      foundProducts: { one: 'I found {count} product:', other: 'I found {count} products:' },
+      noProducts: "I couldn't find any products matching your search.",
+      searchSuggestions: 'Did you mean one of these?',
+      activeFilters: 'Filters',
+      removeFilter: 'Remove filter: {filter}',
+      filterPriceMin: 'From {price}',
+      filterPriceMax: 'Up to {price}',
+      filterSize: 'Size {size}',
+      filterInStock: 'In stock',
+      chooseOption: 'Choose an option for {title}',
+      addToCart: 'Add to cart',
+      soldOut: 'Sold out',
+      soldOutOption: '(sold out)',
+      viewProduct: 'View product',
+      productsHint: 'Tap "Add to cart" on any of these, or tell me what you\'d like.',
+      addToCartMessage: 'Add {item} to cart',
+      proceedToCheckout: 'Proceed to Checkout',
+      addedToCart: 'Added {items} to your cart!',
+      cartError: "Sorry, I couldn't add that to your cart.",
+      cartSuccess: 'Item added to cart successfully!',
+      genericError: 'Sorry, something went wrong. Please try again.',
+      fallbackReply: 'I received your message. How else can I help you?',
+      offlineQueued: "You're offline. This message will be sent when you're back online.",
+      waitingToSend: 'Waiting to send…',
+      errorTimeout: 'The assistant took too long to answer.',
+      errorServer: 'The assistant is unavailable right now.',
+      errorRequest: "The assistant couldn't handle this message.",
+      errorNetwork: "Couldn't reach the assistant. Check your connection.",
+      noReply: 'No reply was received.',
+      retry: 'Retry'
+    },
+    es: {
+      greeting: '¡Hola! Soy Selvia, tu asistente de compras. Puedo ayudarte a encontrar productos, añadir artículos al carrito y finalizar la compra. ¿Qué estás buscando?',
+      footerText: 'Con la tecnología de Selvia',
+      openChat: 'Chatear con {title}',
+      panelLabel: 'Chat de {title}',
+      newConversation: 'Nueva conversación',
+      closeChat: 'Cerrar chat',
+      inputPlaceholder: 'Pregunta por productos...',
+      inputLabel: 'Escribe tu mensaje',
+      sendMessage: 'Enviar mensaje',
+      conversationLabel: 'Conversación',
+      productsLabel: 'Productos',
+      typing: '{title} está escribiendo…',
+      foundProducts: { one: 'Encontré {count} producto:', other: 'Encontré {count} productos:' },
+      noProducts: 'No encontré productos que coincidan con tu búsqueda.',
+      searchSuggestions: '¿Quisiste decir alguno de estos?',
+      activeFilters: 'Filtros',
+      removeFilter: 'Quitar filtro: {filter}',
+      filterPriceMin: 'Desde {price}',
+      filterPriceMax: 'Hasta {price}',
+      filterSize: 'Talla {size}',
+      filterInStock: 'En stock',
+      chooseOption: 'Elige una opción para {title}',
+      addToCart: 'Añadir al carrito',
+      soldOut: 'Agotado',
+      soldOutOption: '(agotado)',
+      viewProduct: 'Ver producto',
+      productsHint: 'Pulsa «Añadir al carrito» en cualquiera de ellos o dime qué te gustaría.',
+      addToCartMessage: 'Añadir {item} al carrito',
+      proceedToCheckout: 'Ir a pagar',
+      addedToCart: '¡Añadido al carrito: {items}!',
+      cartError: 'Lo siento, no pude añadirlo a tu carrito.',
+      cartSuccess: '¡Artículo añadido al carrito!',
+      genericError: 'Lo siento, algo salió mal. Inténtalo de nuevo.',
+      fallbackReply: 'He recibido tu mensaje. ¿En qué más puedo ayudarte?',
+      offlineQueued: 'Estás sin conexión. Este mensaje se enviará cuando vuelvas a estar en línea.',
+      waitingToSend: 'Pendiente de envío…',
+      errorTimeout: 'El asistente tardó demasiado en responder.',
+      errorServer: 'El asistente no está disponible en este momento.',
+      errorRequest: 'El asistente no pudo procesar este mensaje.',
+      errorNetwork: 'No se pudo contactar con el asistente. Comprueba tu conexión.',
+      noReply: 'No se recibió respuesta.',
+      retry: 'Reintentar'
+    },
+    fr: {
+      greeting: 'Bonjour ! Je suis Selvia, votre assistante shopping. Je peux vous aider à trouver des produits, à ajouter des articles à votre panier et à passer commande. Que recherchez-vous ?',
+      footerText: 'Propulsé par Selvia',
+      openChat: 'Discuter avec {title}',
+      panelLabel: 'Discussion avec {title}',
+      newConversation: 'Nouvelle conversation',
+      closeChat: 'Fermer la discussion',
+      inputPlaceholder: 'Posez une question sur nos produits...',
+      inputLabel: 'Saisissez votre message',
+      sendMessage: 'Envoyer le message',
+      conversationLabel: 'Conversation',
+      productsLabel: 'Produits',
+      typing: '{title} est en train d\'écrire…',
+      foundProducts: { one: "J'ai trouvé {count} produit :", other: "J'ai trouvé {count} produits :" },
+      noProducts: "Je n'ai trouvé aucun produit correspondant à votre recherche.",
+      searchSuggestions: 'Vouliez-vous dire l’un de ceux-ci ?',
+      activeFilters: 'Filtres',
+      removeFilter: 'Retirer le filtre : {filter}',
+      filterPriceMin: 'À partir de {price}',
+      filterPriceMax: "Jusqu'à {price}",
+      filterSize: 'Taille {size}',
+      filterInStock: 'En stock',
+      chooseOption: 'Choisissez une option pour {title}',
+      addToCart: 'Ajouter au panier',
+      soldOut: 'Épuisé',
+      soldOutOption: '(épuisé)',
+      viewProduct: 'Voir le produit',
+      productsHint: "Touchez « Ajouter au panier » sur l'un d'eux, ou dites-moi ce que vous souhaitez.",
+      addToCartMessage: 'Ajouter {item} au panier',
+      proceedToCheckout: 'Passer commande',
+      addedToCart: '{items} ajouté à votre panier !',
+      cartError: "Désolée, je n'ai pas pu l'ajouter à votre panier.",
+      cartSuccess: 'Article ajouté au panier !',
+      genericError: "Désolée, une erreur s'est produite. Veuillez réessayer.",
+      fallbackReply: "J'ai bien reçu votre message. Puis-je vous aider pour autre chose ?",
+      offlineQueued: 'Vous êtes hors ligne. Ce message sera envoyé dès votre retour en ligne.',
+      waitingToSend: "En attente d'envoi…",
+      errorTimeout: "L'assistante a mis trop de temps à répondre.",
+      errorServer: "L'assistante n'est pas disponible pour le moment.",
+      errorRequest: "L'assistante n'a pas pu traiter ce message.",
+      errorNetwork: "Impossible de joindre l'assistante. Vérifiez votre connexion.",
+      noReply: 'Aucune réponse reçue.',
+      retry: 'Réessayer'
+    },
+    de: {
+      greeting: 'Hallo! Ich bin Selvia, deine Einkaufsassistentin. Ich helfe dir, Produkte zu finden, Artikel in den Warenkorb zu legen und zur Kasse zu gehen. Wonach suchst du?',
+      footerText: 'Bereitgestellt von Selvia',
+      openChat: 'Mit {title} chatten',
+      panelLabel: '{title}-Chat',
+      newConversation: 'Neue Unterhaltung',
+      closeChat: 'Chat schließen',
+      inputPlaceholder: 'Frag nach Produkten...',
+      inputLabel: 'Nachricht eingeben',
+      sendMessage: 'Nachricht senden',
+      conversationLabel: 'Unterhaltung',
+      productsLabel: 'Produkte',
+      typing: '{title} schreibt …',
+      foundProducts: { one: 'Ich habe {count} Produkt gefunden:', other: 'Ich habe {count} Produkte gefunden:' },
+      noProducts: 'Ich habe keine passenden Produkte gefunden.',
+      searchSuggestions: 'Meintest du eines davon?',
+      activeFilters: 'Filter',
+      removeFilter: 'Filter entfernen: {filter}',
+      filterPriceMin: 'Ab {price}',
+      filterPriceMax: 'Bis {price}',
+      filterSize: 'Größe {size}',
+      filterInStock: 'Auf Lager',
+      chooseOption: 'Option für {title} wählen',
+      addToCart: 'In den Warenkorb',
+      soldOut: 'Ausverkauft',
+      soldOutOption: '(ausverkauft)',
+      viewProduct: 'Produkt ansehen',
+      productsHint: 'Tippe bei einem Produkt auf „In den Warenkorb“ oder sag mir, was du möchtest.',
+      addToCartMessage: '{item} in den Warenkorb legen',
+      proceedToCheckout: 'Zur Kasse',
+      addedToCart: '{items} wurde in den Warenkorb gelegt!',
+      cartError: 'Das konnte ich leider nicht in den Warenkorb legen.',
+      cartSuccess: 'Artikel wurde in den Warenkorb gelegt!',
+      genericError: 'Leider ist etwas schiefgelaufen. Bitte versuch es noch einmal.',
+      fallbackReply: 'Ich habe deine Nachricht erhalten. Wie kann ich dir sonst helfen?',
+      offlineQueued: 'Du bist offline. Die Nachricht wird gesendet, sobald du wieder online bist.',
+      waitingToSend: 'Wird gleich gesendet …',
+      errorTimeout: 'Die Antwort hat zu lange gedauert.',
+      errorServer: 'Der Assistent ist gerade nicht erreichbar.',
+      errorRequest: 'Der Assistent konnte diese Nachricht nicht verarbeiten.',
+      errorNetwork: 'Der Assistent ist nicht erreichbar. Prüf deine Verbindung.',
+      noReply: 'Keine Antwort erhalten.',
+      retry: 'Erneut versuchen'
+    },
+    ar: {
+      greeting: 'مرحبًا! أنا سيلفيا، مساعدتك للتسوق. يمكنني مساعدتك في العثور على المنتجات وإضافتها إلى سلة التسوق وإتمام الشراء. عمّ تبحث؟',
+      footerText: 'مدعوم من Selvia',
+      openChat: 'الدردشة مع {title}',
+      panelLabel: 'دردشة {title}',
+      newConversation: 'محادثة جديدة',
+      closeChat: 'إغلاق الدردشة',
+      inputPlaceholder: 'اسأل عن المنتجات...',
+      inputLabel: 'اكتب رسالتك',
+      sendMessage: 'إرسال الرسالة',
+      conversationLabel: 'المحادثة',
+      productsLabel: 'المنتجات',
+      typing: '{title} يكتب…',
+      foundProducts: { one: 'وجدت منتجًا واحدًا:', two: 'وجدت منتجين:', few: 'وجدت {count} منتجات:', many: 'وجدت {count} منتجًا:', other: 'وجدت {count} منتج:' },
+      noProducts: 'لم أجد منتجات تطابق بحثك.',
+      searchSuggestions: 'هل تقصد أحد هذه؟',
+      activeFilters: 'عوامل التصفية',
+      removeFilter: 'إزالة عامل التصفية: {filter}',
+      filterPriceMin: 'من {price}',
+      filterPriceMax: 'حتى {price}',
+      filterSize: 'المقاس {size}',
+      filterInStock: 'متوفر',
+      chooseOption: 'اختر خيارًا لـ {title}',
+      addToCart: 'أضف إلى السلة',
+      soldOut: 'نفدت الكمية',
+      soldOutOption: '(نفدت الكمية)',
+      viewProduct: 'عرض المنتج',
+      productsHint: 'اضغط على «أضف إلى السلة» لأي منها، أو أخبرني بما تريد.',
+      addToCartMessage: 'أضف {item} إلى السلة',
+      proceedToCheckout: 'إتمام الشراء',
+      addedToCart: 'تمت إضافة {items} إلى سلتك!',
+      cartError: 'عذرًا، لم أتمكن من إضافة ذلك إلى سلتك.',
+      cartSuccess: 'تمت إضافة المنتج إلى السلة!',
+      genericError: 'عذرًا، حدث خطأ ما. يرجى المحاولة مرة أخرى.',
+      fallbackReply: 'تلقيت رسالتك. كيف يمكنني مساعدتك أيضًا؟',
+      offlineQueued: 'أنت غير متصل بالإنترنت. سيتم إرسال هذه الرسالة عند عودة الاتصال.',
+      waitingToSend: 'في انتظار الإرسال…',
+      errorTimeout: 'استغرق المساعد وقتًا طويلاً للرد.',
+      errorServer: 'المساعد غير متاح حاليًا.',
+      errorRequest: 'تعذّر على المساعد معالجة هذه الرسالة.',
+      errorNetwork: 'تعذّر الوصول إلى المساعد. تحقّق من اتصالك.',
+      noReply: 'لم يصل أي رد.',
+      retry: 'إعادة المحاولة'
+    }
+  };
+
+  // Languages written right to left; the panel is mirrored for these
+  const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+  const getLocale = () => {
+    const requested = getConfigValue('locale') || (window.Shopify && window.Shopify.locale) || document.documentElement.lang || navigator.language || 'en';
+    try {
+      return Intl.getCanonicalLocales(String(requested).replace(/_/g, '-'))[0];
+    } catch (e) {
+      return 'en';
+    }
+  };
+
+  const getLanguage = (locale) => locale.split('-')[0].toLowerCase();
+
+  const isRtlLocale = (locale) => RTL_LANGUAGES.includes(getLanguage(locale));
+
+  // Shopper's country for Shopify Markets pricing: CHATBOT_CONFIG.country (or
+  // data-country), then Shopify.country and the localization cookie the theme's
+  // country selector sets. Read on every send so a switched market is picked up.
+  const getCountry = () => {
+    const cookie = document.cookie.match(/(?:^|;\s*)localization=([^;]*)/);
+    const requested = getConfigValue('country') || (window.Shopify && window.Shopify.country) || (cookie && decodeURIComponent(cookie[1])) || '';
+    return /^[A-Z]{2}$/i.test(requested) ? requested.toUpperCase() : null;
+  };
+
+  // Storefront MoneyV2 ({ amount, currencyCode }) in the shopper's locale, e.g. "1.234,50 €"
+  const formatMoney = (money, locale) => {
+    try {
+      return new Intl.NumberFormat(locale, { style: 'currency', currency: money.currencyCode }).format(Number(money.amount));
+    } catch (e) {
+      return `${money.amount} ${money.currencyCode}`;
+    }
+  };
+
+  // On a Shopify storefront the bot's cart changes go into the theme's own cart
+  // through the AJAX Cart API, so the header count, cart drawer and /checkout
+  // all see them. CHATBOT_CONFIG.syncThemeCart = false (or
+  // data-sync-theme-cart="false") turns this off.
+  const isThemeCartSynced = () => {
+    const configured = window.CHATBOT_CONFIG && window.CHATBOT_CONFIG.syncThemeCart !== undefined
+      ? window.CHATBOT_CONFIG.syncThemeCart
+      : getConfigValue('syncThemeCart');
+    return Boolean(window.Shopify && window.Shopify.shop) && String(configured) !== 'false';
+  };
+
+  // Cart endpoints live under Shopify.routes.root, e.g. /fr-ca/cart/add.js
+  const cartPath = (path) => `${(window.Shopify && window.Shopify.routes && window.Shopify.routes.root) || '/'}${path}`;
+
+  // GET without a body, POST with one. Shopify explains refused changes
+  // (sold out, quantity limits) in `description`.
+  const cartRequest = async (path, body) => {
+    const response = await fetch(cartPath(path), body === undefined
+      ? { headers: { 'Accept': 'application/json' }, credentials: 'same-origin' }
+      : { method: 'POST', headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' }, credentials: 'same-origin', body: JSON.stringify(body) });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw Object.assign(new Error(data.description || data.message || `Cart request failed with ${response.status}`), { description: data.description || null });
+    }
+    return data;
+  };
+
+  const VARIANT_GID = 'gid://shopify/ProductVariant/';
+
+  // "gid://shopify/ProductVariant/123" or "123" to the numeric id the AJAX API takes
+  const variantNumber = (id) => {
+    const number = String(id || '').split('/').pop();
+    return /^\d+$/.test(number) ? Number(number) : null;
+  };
+
+  // cart.js in the shape of the workflow's cart lines: Storefront variant gids
+  // and MoneyV2 prices (cart.js amounts are in cents)
+  const summarizeCart = (cart) => {
+    const money = (cents) => ({ amount: (cents / 100).toFixed(2), currencyCode: cart.currency });
+    return {
+      itemCount: cart.item_count,
+      totalAmount: money(cart.total_price),
+      items: (cart.items || []).map(item => ({
+        lineId: item.key,
+        variantId: `${VARIANT_GID}${item.variant_id}`,
+        title: item.product_title,
+        variant: item.variant_title || '',
+        quantity: item.quantity,
+        price: money(item.final_price)
+      }))
+    };
+  };
+
+  // Apply the changes a reply asks for and return the updated cart.js.
+  // { type: 'add', variantId, quantity } adds to the cart; { type: 'set',
+  // lineId, variantId, quantity } sets a line's quantity (0 removes it).
+  const applyCartChanges = async (changes) => {
+    const adds = changes.filter(change => change.type === 'add' && variantNumber(change.variantId) && change.quantity > 0);
+    if (adds.length > 0) {
+      await cartRequest('cart/add.js', { items: adds.map(change => ({ id: variantNumber(change.variantId), quantity: Number(change.quantity) })) });
+    }
+    for (const change of changes.filter(c => c.type === 'set' && c.quantity >= 0)) {
+      const id = typeof change.lineId === 'string' && change.lineId ? change.lineId : String(variantNumber(change.variantId) || '');
+      if (id) await cartRequest('cart/change.js', { id, quantity: Number(change.quantity) });
+    }
+    return cartRequest('cart.js');
+  };
+
+  // t('foundProducts', { count: 3 }) for the given locale
+  const createTranslator = (locale) => {
+    const language = getLanguage(locale);
+    const configured = getConfigValue('translations');
+    const custom = configured && typeof configured === 'object' ? configured : {};
+    const strings = { ...LOCALES.en, ...LOCALES[language], ...custom[language], ...custom[locale] };
+    let plurals = null;
+    try {
+      plurals = new Intl.PluralRules(locale);
+    } catch (e) {
+      // Plural objects fall back to their "other" form
+    }
+
+    return (key, values = {}) => {
+      let text = strings[key];
+      if (text && typeof text === 'object') {
+        text = (plurals && text[plurals.select(values.count)]) || text.other;
+      }
+      return String(text ?? key).replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+    };
+  };
+
+  // Branding and appearance, from CHATBOT_CONFIG.theme or data-theme-* attributes
+  // (theme.primaryColor or data-theme-primary-color="#008060")
+  const THEME_DEFAULTS = {
+    mode: 'light',
+    // Right, or left for right-to-left languages
+    position: null,
+    title: 'Selvia Agent',
+    // Greeting and footer default to the locale's text
+    greeting: null,
+    footerText: null,
+    primaryColor: null,
+    primaryHoverColor: null,
+    primaryTextColor: null,
+    fontFamily: null,
+    offsetX: null,
+    offsetY: null,
+    panelWidth: null,
+    panelHeight: null
+  };
+
+  // Theme keys that become CSS custom properties on the widget's host element;
+  // null leaves the stylesheet default. Numbers are pixels, and so are numeric
+  // strings, which is how data-* attributes arrive (data-theme-panel-width="400").
+  const THEME_PROPERTIES = {
+    primaryColor: '--ai-chatbot-primary',
+    primaryHoverColor: '--ai-chatbot-primary-hover',
+    primaryTextColor: '--ai-chatbot-on-primary',
+    fontFamily: '--ai-chatbot-font',
+    offsetX: '--ai-chatbot-offset-x',
+    offsetY: '--ai-chatbot-offset-y',
+    panelWidth: '--ai-chatbot-panel-width',
+    panelHeight: '--ai-chatbot-panel-height'
+  };
+
+  const toCssValue = (value) => {
+    const text = String(value).trim();
+    return /^-?\d+(\.\d+)?$/.test(text) ? `${text}px` : text;
+  };
+
+  const getTheme = (rtl = false) => {
+    const configured = (window.CHATBOT_CONFIG && window.CHATBOT_CONFIG.theme) || {};
+    const theme = {};
+    Object.keys(THEME_DEFAULTS).forEach(key => {
+      const value = configured[key] ?? getConfigValue(`theme${key[0].toUpperCase()}${key.slice(1)}`);
+      theme[key] = value === null || value === undefined || value === '' ? THEME_DEFAULTS[key] : value;
+    });
+    if (!['light', 'dark', 'auto'].includes(theme.mode)) theme.mode = THEME_DEFAULTS.mode;
+    if (!['left', 'right'].includes(theme.position)) theme.position = rtl ? 'left' : 'right';
+    return theme;
+  };
+
+  // Stable session id so the workflow can keep conversation context between turns
+  const SESSION_KEY = 'ai-chatbot-session-id';
+  let memorySessionId = null;
+
+  // Random id for sessions, and for the turn id that lets the workflow spot a
+  // retried message
+  const createId = () => {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
     }
-    return 'http://localhost:5678/webhook/shopify-chat';
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  };
+
+  const getSessionId = () => {
+    try {
+      let id = window.localStorage.getItem(SESSION_KEY);
+      if (!id) {
+        id = createId();
+        window.localStorage.setItem(SESSION_KEY, id);
+      }
+      return id;
+    } catch (e) {
+      // localStorage can be unavailable (privacy mode, blocked cookies)
+      memorySessionId = memorySessionId || createId();
+      return memorySessionId;
+    }
+  };
+
+  // Start a fresh session id, e.g. for "New conversation"
+  const resetSessionId = () => {
+    memorySessionId = createId();
+    try {
+      window.localStorage.setItem(SESSION_KEY, memorySessionId);
+    } catch (e) {
+      // Falls back to the in-memory id
+    }
+    return memorySessionId;
+  };
+
+  // A webhook request gives up after this long without a response or a streamed
+  // chunk; CHATBOT_CONFIG.requestTimeout (or data-request-timeout) overrides it,
+  // in milliseconds. 429 and 5xx responses are retried with exponential backoff,
+  // or after the Retry-After delay when the server sends one.
+  const REQUEST_TIMEOUT_MS = 30000;
+  const MAX_RETRIES = 2;
+  const RETRY_BASE_DELAY_MS = 1000;
+  const RETRY_MAX_DELAY_MS = 10000;
+
+  const getRequestTimeout = () => Number(getConfigValue('requestTimeout')) || REQUEST_TIMEOUT_MS;
+
+  // Failed requests carry a code: timeout, offline, network, server (429 or 5xx
+  // after the retries), request (any other error status) or cancelled (replaced
+  // by a newer message)
+  const requestError = (code, message) => Object.assign(new Error(message || code), { code });
+
+  // Every Shopify navigation is a full page load, so the transcript, open state
+  // and scroll position are saved and restored. Transcripts expire with the
+  // workflow's server-side session (1 hour without activity) and are capped so
+  // they never fill the storefront's storage quota.
+  const TRANSCRIPT_KEY = 'ai-chatbot-transcript';
+  const TRANSCRIPT_TTL_MS = 60 * 60 * 1000;
+  const TRANSCRIPT_MAX_MESSAGES = 50;
+  const TRANSCRIPT_MAX_CHARS = 100000;
+
+  const clearTranscript = () => {
+    try {
+      window.localStorage.removeItem(TRANSCRIPT_KEY);
+    } catch (e) {
+      // Nothing was saved
+    }
+  };
+
+  // The saved transcript, or null when there is none, it expired or it belongs
+  // to another session
+  const loadTranscript = () => {
+    try {
+      const saved = JSON.parse(window.localStorage.getItem(TRANSCRIPT_KEY) || 'null');
+      if (saved && saved.sessionId === getSessionId() && Date.now() - saved.savedAt < TRANSCRIPT_TTL_MS && Array.isArray(saved.messages)) {
+        return saved;
+      }
+    } catch (e) {
+      // Unreadable entries are dropped below
+    }
+    clearTranscript();
+    return null;
+  };
+
+  const saveTranscript = (state) => {
+    const transcript = { ...state, sessionId: getSessionId(), savedAt: Date.now(), messages: state.messages.slice(-TRANSCRIPT_MAX_MESSAGES) };
+    let raw = JSON.stringify(transcript);
+    while (raw.length > TRANSCRIPT_MAX_CHARS && transcript.messages.length > 0) {
+      transcript.messages.shift();
+      raw = JSON.stringify(transcript);
+    }
+    try {
+      window.localStorage.setItem(TRANSCRIPT_KEY, raw);
+    } catch (e) {
+      // Storage full or unavailable: the chat still works, it just is not restored
+    }
+  };
+
+  // Safe rendering. Every assistant message is parsed into an inert <template>
+  // and rebuilt from an allowlist of tags and attributes, so markup in product
+  // data, webhook replies or LLM output never runs on the storefront.
+  const ALLOWED_TAGS = {
+    A: ['href', 'class'],
+    B: [],
+    BR: [],
+    BUTTON: ['type', 'class', 'disabled', 'aria-label', 'data-message', 'data-variant-id', 'data-query', 'data-filters'],
+    CODE: [],
+    DIV: ['class', 'data-product-title', 'role', 'tabindex', 'aria-label'],
+    EM: [],
+    I: [],
+    IMG: ['src', 'alt', 'class'],
+    LI: [],
+    OL: [],
+    OPTION: ['value', 'selected', 'disabled'],
+    P: [],
+    SELECT: ['class', 'aria-label'],
+    SPAN: ['class'],
+    STRONG: [],
+    TABLE: ['class'],
+    TBODY: [],
+    TD: [],
+    TH: [],
+    THEAD: [],
+    TR: [],
+    UL: []
+  };
+
+  // Removed together with everything inside them
+  const DROPPED_TAGS = ['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE', 'NOSCRIPT', 'SVG', 'MATH', 'TEXTAREA'];
+
+  const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+  const hostOf = (value) => {
+    try {
+      return value ? new URL(value, window.location.href).host : null;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  // Hosts of checkout URLs the workflow returned. Off the storefront, with no
+  // storeUrl or checkoutHost configured, a cart's checkoutUrl is the only place
+  // the checkout host shows up.
+  const checkoutHosts = new Set();
+
+  const allowCheckoutUrl = (value) => {
+    try {
+      const url = new URL(value);
+      if (url.protocol === 'https:' && CHECKOUT_PATH.test(url.pathname)) checkoutHosts.add(url.host);
+    } catch (e) {
+      // Not an absolute URL: relative checkout paths stay on the storefront
+    }
+  };
+
+  // Links may only point at the storefront, the configured store URL, the
+  // shop's myshopify domain or a checkout host
+  const getAllowedLinkHosts = () => [
+    window.location.host,
+    hostOf(getStoreUrl()),
+    window.Shopify && window.Shopify.shop,
+    getConfigValue('checkoutHost'),
+    ...checkoutHosts
+  ].filter(Boolean);
+
+  // Absolute http(s) URL, or null when the scheme or host is not allowed.
+  // Images may come from any host (Shopify serves them from its CDN).
+  const safeUrl = (value, anyHost = false) => {
+    try {
+      const url = new URL(value, window.location.href);
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+      if (!anyHost && !getAllowedLinkHosts().includes(url.host)) return null;
+      return url.href;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  const sanitizeNode = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) return document.createTextNode(node.textContent);
+    if (node.nodeType !== Node.ELEMENT_NODE) return null;
+
+    const tag = node.tagName.toUpperCase();
+    if (DROPPED_TAGS.includes(tag)) return null;
+
+    // Unknown tags, and links that fail the URL check, keep only their content
+    const attributes = ALLOWED_TAGS[tag];
+    const href = tag === 'A' ? safeUrl(node.getAttribute('href')) : null;
+    const keep = attributes && (tag !== 'A' || href);
+    const out = keep ? document.createElement(tag.toLowerCase()) : document.createDocumentFragment();
+
+    if (keep) {
+      attributes.forEach(name => {
+        if (!node.hasAttribute(name)) return;
+        let value = node.getAttribute(name);
+        if (name === 'href') value = href;
+        if (name === 'src') value = safeUrl(value, true);
+        if (value !== null) out.setAttribute(name, value);
+      });
+      if (tag === 'A') {
+        out.setAttribute('target', '_blank');
+        out.setAttribute('rel', 'noopener noreferrer');
+      }
+    }
+
+    node.childNodes.forEach(child => {
+      const clean = sanitizeNode(child);
+      if (clean) out.appendChild(clean);
+    });
+    return out;
+  };
+
+  // Parse markup without executing anything and return a sanitized fragment
+  const renderHtml = (html) => {
+    const template = document.createElement('template');
+    template.innerHTML = String(html);
+    const fragment = document.createDocumentFragment();
+    template.content.childNodes.forEach(child => {
+      const clean = sanitizeNode(child);
+      if (clean) fragment.appendChild(clean);
+    });
+    return fragment;
+  };
+
+  // Markdown subset for plain-text and LLM replies: **bold**, `code`, "- " and
+  // "1. " lists, "#" headings, pipe tables, [label](url) links and bare URLs.
+  // The text is escaped first, so the only markup comes from these rules, and
+  // renderHtml still drops links to other hosts.
+  const INLINE_PATTERN = /`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"])/g;
+
+  // Shopify checkout, cart and cart permalink URLs
+  const CHECKOUT_PATH = /^\/(checkouts?|cart\/c)\/|^\/cart\/\d+:\d+/;
+
+  const renderEmphasis = (text) => escapeHtml(text)
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/__(.+?)__/g, '<strong>$1</strong>');
+
+  // Checkout links become the same button the cart replies use
+  const renderLink = (href, label) => {
+    let isCheckout = /checkout/i.test(label);
+    try {
+      isCheckout = isCheckout || CHECKOUT_PATH.test(new URL(href, window.location.href).pathname);
+    } catch (e) {
+      // Invalid URLs are dropped by the sanitizer
+    }
+    const className = isCheckout ? ' class="ai-chatbot-btn"' : '';
+    return `<a href="${escapeHtml(href)}"${className}>${renderEmphasis(label)}</a>`;
+  };
+
+  const renderInline = (text) => {
+    let html = '';
+    let last = 0;
+    text.replace(INLINE_PATTERN, (match, code, label, href, bare, offset) => {
+      html += renderEmphasis(text.slice(last, offset));
+      if (code !== undefined) html += `<code>${escapeHtml(code)}</code>`;
+      else if (label !== undefined) html += renderLink(href, label);
+      else html += renderLink(bare, bare);
+      last = offset + match.length;
+      return match;
+    });
+    return html + renderEmphasis(text.slice(last));
+  };
+
+  const splitTableRow = (line) => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+  const isTableDivider = (line) => /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line);
+
+  const renderTable = (header, rows) => {
+    const cells = (row, tag) => row.map(cell => `<${tag}>${renderInline(cell)}</${tag}>`).join('');
+    const body = rows.map(row => `<tr>${cells(row, 'td')}</tr>`).join('');
+    return `<table class="ai-chatbot-table"><thead><tr>${cells(header, 'th')}</tr></thead><tbody>${body}</tbody></table>`;
+  };
+
+  const renderMarkdown = (text) => {
+    const blocks = [];
+    const lines = String(text).split('\n');
+    let list = null;
+    let paragraph = [];
+
+    const flushParagraph = () => {
+      if (paragraph.length > 0) blocks.push(paragraph.join('<br>'));
+      paragraph = [];
+    };
+    const flushList = () => {
+      if (list) blocks.push(`<${list.tag}>${list.items.map(item => `<li>${item}</li>`).join('')}</${list.tag}>`);
+      list = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const item = line.match(/^\s*(?:([-*])|(\d+)[.)])\s+(.*)$/);
+      const heading = line.match(/^\s*#{1,6}\s+(.*)$/);
+
+      if (line.includes('|') && i + 1 < lines.length && isTableDivider(lines[i + 1])) {
+        flushParagraph();
+        flushList();
+        const header = splitTableRow(line);
+        const rows = [];
+        i += 2;
+        while (i < lines.length && lines[i].includes('|')) {
+          rows.push(splitTableRow(lines[i]));
+          i++;
+        }
+        i--;
+        blocks.push(renderTable(header, rows));
+      } else if (item) {
+        const tag = item[1] ? 'ul' : 'ol';
+        flushParagraph();
+        if (!list || list.tag !== tag) {
+          flushList();
+          list = { tag, items: [] };
+        }
+        list.items.push(renderInline(item[3]));
+      } else if (heading) {
+        flushParagraph();
+        flushList();
+        blocks.push(`<strong>${renderInline(heading[1])}</strong>`);
+      } else if (line.trim() === '') {
+        flushParagraph();
+        flushList();
+      } else {
+        flushList();
+        paragraph.push(renderInline(line.trim()));
+      }
+    }
+    flushParagraph();
+    flushList();
+    return blocks.join('<br>');
   };
 
   // Inject styles
+  // Colours that change between light and dark mode
+  const LIGHT_PALETTE = `
+      --ai-chatbot-background: #ffffff;
+      --ai-chatbot-surface: #f1f1f1;
+      --ai-chatbot-text: #333333;
+      --ai-chatbot-muted: #888888;
+      --ai-chatbot-border: #e0e0e0;
+      --ai-chatbot-footer-background: #fafafa;
+      --ai-chatbot-code-background: rgba(0, 0, 0, 0.06);`;
+  const DARK_PALETTE = `
+      --ai-chatbot-background: #1f1f23;
+      --ai-chatbot-surface: #2e2e34;
+      --ai-chatbot-text: #ececf1;
+      --ai-chatbot-muted: #a0a0aa;
+      --ai-chatbot-border: #3a3a42;
+      --ai-chatbot-footer-background: #18181b;
+      --ai-chatbot-code-background: rgba(255, 255, 255, 0.1);`;
+
+  // Styles live inside the widget's shadow root, so storefront CSS does not
+  // reach the panel and these rules do not reach the storefront. all: initial
+  // stops inherited page styles (font, colour, line height) at the host.
   const styles = `
+    :host {
+      all: initial;
+      --ai-chatbot-primary: #5C6AC4;
+      --ai-chatbot-primary-hover: #4a5ab8;
+      --ai-chatbot-on-primary: #ffffff;
+      --ai-chatbot-offset-x: 24px;
+      --ai-chatbot-offset-y: 24px;
+      --ai-chatbot-panel-width: 380px;
+      --ai-chatbot-panel-height: 500px;
+      --ai-chatbot-font: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      ${LIGHT_PALETTE}
+    }
+    :host([data-mode="dark"]) {
+      ${DARK_PALETTE}
+    }
+    @media (prefers-color-scheme: dark) {
+      :host([data-mode="auto"]) {
+        ${DARK_PALETTE}
+      }
+    }
+
     .ai-chatbot-bubble {
       position: fixed;
-      bottom: 24px;
-      right: 24px;
+      bottom: var(--ai-chatbot-offset-y);
+      right: var(--ai-chatbot-offset-x);
       width: 60px;
       height: 60px;
       border-radius: 50%;
-      background: #5C6AC4;
+      background: var(--ai-chatbot-primary);
       border: none;
       cursor: pointer;
-      box-shadow: 0 4px 12px rgba(92, 106, 196, 0.4);
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.25);
       z-index: 999999;
       display: flex;
       align-items: center;
@@ -43,40 +838,41 @@
     }
     .ai-chatbot-bubble:hover {
       transform: scale(1.05);
-      box-shadow: 0 6px 16px rgba(92, 106, 196, 0.5);
+      box-shadow: 0 6px 16px rgba(0, 0, 0, 0.3);
     }
     .ai-chatbot-bubble:focus {
-      outline: 3px solid #5C6AC4;
+      outline: 3px solid var(--ai-chatbot-primary);
       outline-offset: 2px;
     }
     .ai-chatbot-bubble svg {
       width: 28px;
       height: 28px;
-      fill: white;
+      fill: var(--ai-chatbot-on-primary);
     }
 
     .ai-chatbot-bubble-label {
       position: fixed;
-      bottom: 90px;
-      right: 24px;
-      background: white;
-      color: #5C6AC4;
+      bottom: calc(var(--ai-chatbot-offset-y) + 66px);
+      right: var(--ai-chatbot-offset-x);
+      background: var(--ai-chatbot-background);
+      color: var(--ai-chatbot-primary);
       padding: 8px 14px;
       border-radius: 20px;
       font-size: 13px;
       font-weight: 600;
       box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
       z-index: 999999;
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-family: var(--ai-chatbot-font);
     }
 
     .ai-chatbot-panel {
       position: fixed;
-      bottom: 100px;
-      right: 24px;
-      width: 380px;
-      height: 500px;
-      background: white;
+      bottom: calc(var(--ai-chatbot-offset-y) + 76px);
+      right: var(--ai-chatbot-offset-x);
+      width: var(--ai-chatbot-panel-width);
+      height: var(--ai-chatbot-panel-height);
+      max-height: calc(100vh - var(--ai-chatbot-offset-y) - 100px);
+      background: var(--ai-chatbot-background);
       border-radius: 16px;
       box-shadow: 0 8px 32px rgba(0, 0, 0, 0.15);
       z-index: 999999;
@@ -84,7 +880,7 @@
       flex-direction: column;
       overflow: hidden;
       animation: ai-chatbot-slide-up 0.3s ease;
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-family: var(--ai-chatbot-font);
     }
     .ai-chatbot-panel.open {
       display: flex;
@@ -95,8 +891,8 @@
     }
 
     .ai-chatbot-header {
-      background: #5C6AC4;
-      color: white;
+      background: var(--ai-chatbot-primary);
+      color: var(--ai-chatbot-on-primary);
       padding: 16px 20px;
       display: flex;
       align-items: center;
@@ -107,10 +903,16 @@
       font-size: 16px;
       font-weight: 600;
     }
+    .ai-chatbot-header-actions {
+      display: flex;
+      align-items: center;
+      gap: 4px;
+    }
+    .ai-chatbot-new,
     .ai-chatbot-close {
       background: transparent;
       border: none;
-      color: white;
+      color: var(--ai-chatbot-on-primary);
       cursor: pointer;
       padding: 4px;
       display: flex;
@@ -118,13 +920,16 @@
       justify-content: center;
       border-radius: 4px;
     }
+    .ai-chatbot-new:hover,
     .ai-chatbot-close:hover {
       background: rgba(255, 255, 255, 0.2);
     }
+    .ai-chatbot-new:focus,
     .ai-chatbot-close:focus {
-      outline: 2px solid white;
+      outline: 2px solid var(--ai-chatbot-on-primary);
       outline-offset: 2px;
     }
+    .ai-chatbot-new svg,
     .ai-chatbot-close svg {
       width: 20px;
       height: 20px;
@@ -139,6 +944,24 @@
       flex-direction: column;
       gap: 12px;
     }
+    .ai-chatbot-messages:focus-visible,
+    .ai-chatbot-product:focus-visible {
+      outline: 2px solid var(--ai-chatbot-primary);
+      outline-offset: -2px;
+    }
+
+    /* Read by screen readers only */
+    .ai-chatbot-status {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      margin: -1px;
+      padding: 0;
+      overflow: hidden;
+      clip: rect(0, 0, 0, 0);
+      white-space: nowrap;
+      border: 0;
+    }
 
     .ai-chatbot-message {
       max-width: 85%;
@@ -150,30 +973,59 @@
     }
     .ai-chatbot-message.user {
       align-self: flex-end;
-      background: #5C6AC4;
-      color: white;
-      border-bottom-right-radius: 4px;
+      background: var(--ai-chatbot-primary);
+      color: var(--ai-chatbot-on-primary);
+      border-end-end-radius: 4px;
     }
     .ai-chatbot-message.assistant {
       align-self: flex-start;
-      background: #f1f1f1;
-      color: #333;
-      border-bottom-left-radius: 4px;
+      background: var(--ai-chatbot-surface);
+      color: var(--ai-chatbot-text);
+      border-end-start-radius: 4px;
+    }
+    .ai-chatbot-message.system {
+      align-self: center;
+      max-width: 100%;
+      background: transparent;
+      color: var(--ai-chatbot-muted);
+      font-size: 13px;
+      text-align: center;
+    }
+    .ai-chatbot-message-state {
+      align-self: flex-end;
+      max-width: 85%;
+      margin-top: -8px;
+      color: var(--ai-chatbot-muted);
+      font-size: 12px;
+      text-align: end;
+    }
+    .ai-chatbot-message-state.failed {
+      color: var(--ai-chatbot-text);
+    }
+    .ai-chatbot-retry {
+      padding: 0;
+      border: none;
+      background: none;
+      color: var(--ai-chatbot-primary);
+      font: inherit;
+      font-weight: 600;
+      text-decoration: underline;
+      cursor: pointer;
     }
 
     .ai-chatbot-typing {
       align-self: flex-start;
-      background: #f1f1f1;
+      background: var(--ai-chatbot-surface);
       padding: 12px 16px;
       border-radius: 16px;
-      border-bottom-left-radius: 4px;
+      border-end-start-radius: 4px;
       display: flex;
       gap: 4px;
     }
     .ai-chatbot-typing span {
       width: 8px;
       height: 8px;
-      background: #999;
+      background: var(--ai-chatbot-muted);
       border-radius: 50%;
       animation: ai-chatbot-bounce 1.4s infinite ease-in-out both;
     }
@@ -185,19 +1037,19 @@
     }
 
     .ai-chatbot-product {
-      background: white;
-      border: 1px solid #e0e0e0;
+      background: var(--ai-chatbot-background);
+      border: 1px solid var(--ai-chatbot-border);
       border-radius: 8px;
       padding: 12px;
       margin-top: 8px;
     }
     .ai-chatbot-product-title {
       font-weight: 600;
-      color: #333;
+      color: var(--ai-chatbot-text);
       margin-bottom: 4px;
     }
     .ai-chatbot-product-price {
-      color: #5C6AC4;
+      color: var(--ai-chatbot-primary);
       font-weight: 500;
     }
     .ai-chatbot-product-image {
@@ -207,11 +1059,52 @@
       border-radius: 4px;
       margin-bottom: 8px;
     }
+    .ai-chatbot-product-actions {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 8px;
+      margin-top: 8px;
+    }
+    .ai-chatbot-variant-select {
+      width: 100%;
+      padding: 6px 8px;
+      border: 1px solid var(--ai-chatbot-border);
+      border-radius: 6px;
+      font-size: 13px;
+      background: var(--ai-chatbot-background);
+    }
+    .ai-chatbot-add-to-cart {
+      background: var(--ai-chatbot-primary);
+      color: var(--ai-chatbot-on-primary);
+      border: none;
+      border-radius: 6px;
+      padding: 6px 12px;
+      font-size: 13px;
+      font-weight: 500;
+      cursor: pointer;
+      transition: background 0.2s ease;
+    }
+    .ai-chatbot-add-to-cart:hover {
+      background: var(--ai-chatbot-primary-hover);
+    }
+    .ai-chatbot-add-to-cart:disabled {
+      opacity: 0.5;
+      cursor: default;
+    }
+    .ai-chatbot-product-link {
+      color: var(--ai-chatbot-primary);
+      font-size: 13px;
+      text-decoration: none;
+    }
+    .ai-chatbot-product-link:hover {
+      text-decoration: underline;
+    }
 
     .ai-chatbot-btn {
       display: inline-block;
-      background: #5C6AC4;
-      color: white;
+      background: var(--ai-chatbot-primary);
+      color: var(--ai-chatbot-on-primary);
       padding: 8px 16px;
       border-radius: 6px;
       text-decoration: none;
@@ -221,32 +1114,116 @@
       transition: background 0.2s ease;
     }
     .ai-chatbot-btn:hover {
-      background: #4a5ab8;
+      background: var(--ai-chatbot-primary-hover);
+    }
+    .ai-chatbot-message.assistant a:not([class]) {
+      color: var(--ai-chatbot-primary);
+    }
+    .ai-chatbot-message code {
+      background: var(--ai-chatbot-code-background);
+      border-radius: 4px;
+      padding: 1px 4px;
+      font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+      font-size: 13px;
+    }
+    .ai-chatbot-message ul,
+    .ai-chatbot-message ol {
+      margin: 4px 0;
+      padding-inline-start: 20px;
+    }
+    .ai-chatbot-table {
+      border-collapse: collapse;
+      width: 100%;
+      margin: 4px 0;
+      font-size: 13px;
+    }
+    .ai-chatbot-table th,
+    .ai-chatbot-table td {
+      border-bottom: 1px solid var(--ai-chatbot-border);
+      padding: 4px 6px;
+      text-align: start;
+    }
+    .ai-chatbot-table th {
+      font-weight: 600;
+    }
+
+    .ai-chatbot-chips {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      margin-top: 8px;
+    }
+    .ai-chatbot-chip {
+      background: var(--ai-chatbot-background);
+      color: var(--ai-chatbot-primary);
+      border: 1px solid var(--ai-chatbot-primary);
+      border-radius: 16px;
+      padding: 4px 12px;
+      font-size: 13px;
+      cursor: pointer;
+      transition: background 0.2s ease, color 0.2s ease;
+    }
+    .ai-chatbot-chip:hover {
+      background: var(--ai-chatbot-primary);
+      color: var(--ai-chatbot-on-primary);
+    }
+    .ai-chatbot-chip:disabled {
+      opacity: 0.5;
+      cursor: default;
+    }
+
+    .ai-chatbot-filters {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      margin-bottom: 8px;
+    }
+    .ai-chatbot-filter {
+      display: inline-flex;
+      align-items: center;
+      gap: 4px;
+      background: var(--ai-chatbot-primary);
+      color: var(--ai-chatbot-on-primary);
+      border: none;
+      border-radius: 16px;
+      padding: 4px 10px;
+      font-size: 13px;
+      cursor: pointer;
+      transition: background 0.2s ease;
+    }
+    .ai-chatbot-filter:hover {
+      background: var(--ai-chatbot-primary-hover);
+    }
+    .ai-chatbot-filter:disabled {
+      opacity: 0.5;
+      cursor: default;
     }
 
     .ai-chatbot-input-area {
       padding: 16px;
-      border-top: 1px solid #e0e0e0;
+      border-top: 1px solid var(--ai-chatbot-border);
       display: flex;
       gap: 8px;
     }
     .ai-chatbot-input {
       flex: 1;
       padding: 12px 16px;
-      border: 1px solid #e0e0e0;
+      border: 1px solid var(--ai-chatbot-border);
       border-radius: 24px;
       font-size: 14px;
+      background: var(--ai-chatbot-background);
+      color: var(--ai-chatbot-text);
       outline: none;
       transition: border-color 0.2s ease;
     }
     .ai-chatbot-input:focus {
-      border-color: #5C6AC4;
+      border-color: var(--ai-chatbot-primary);
     }
     .ai-chatbot-send {
       width: 44px;
       height: 44px;
       border-radius: 50%;
-      background: #5C6AC4;
+      background: var(--ai-chatbot-primary);
       border: none;
       cursor: pointer;
       display: flex;
@@ -255,10 +1232,10 @@
       transition: background 0.2s ease;
     }
     .ai-chatbot-send:hover {
-      background: #4a5ab8;
+      background: var(--ai-chatbot-primary-hover);
     }
     .ai-chatbot-send:focus {
-      outline: 3px solid #5C6AC4;
+      outline: 3px solid var(--ai-chatbot-primary);
       outline-offset: 2px;
     }
     .ai-chatbot-send:disabled {
@@ -268,55 +1245,96 @@
     .ai-chatbot-send svg {
       width: 20px;
       height: 20px;
-      fill: white;
+      fill: var(--ai-chatbot-on-primary);
     }
 
     .ai-chatbot-footer {
       padding: 8px 16px;
       text-align: center;
       font-size: 11px;
-      color: #888;
-      border-top: 1px solid #f0f0f0;
-      background: #fafafa;
+      color: var(--ai-chatbot-muted);
+      border-top: 1px solid var(--ai-chatbot-border);
+      background: var(--ai-chatbot-footer-background);
+    }
+
+    :host([dir="rtl"]) .ai-chatbot-send svg {
+      transform: scaleX(-1);
+    }
+
+    :host([data-position="left"]) .ai-chatbot-bubble,
+    :host([data-position="left"]) .ai-chatbot-bubble-label,
+    :host([data-position="left"]) .ai-chatbot-panel {
+      right: auto;
+      left: var(--ai-chatbot-offset-x);
     }
 
     @media (max-width: 767px) {
-      .ai-chatbot-panel {
-        width: calc(100% - 32px);
-        height: calc(100% - 140px);
+      :host {
+        --ai-chatbot-offset-x: 16px;
+        --ai-chatbot-offset-y: 16px;
+      }
+      :host([data-position]) .ai-chatbot-panel {
+        left: 16px;
         right: 16px;
+        width: auto;
+        height: calc(100% - 140px);
+        max-height: none;
         bottom: 90px;
         border-radius: 12px;
       }
-      .ai-chatbot-bubble {
-        bottom: 16px;
-        right: 16px;
-      }
       .ai-chatbot-bubble-label {
         display: none;
       }
     }
-  `;
 
-  // Inject style tag
-  const styleEl = document.createElement('style');
-  styleEl.textContent = styles;
-  document.head.appendChild(styleEl);
+    @media (prefers-reduced-motion: reduce) {
+      .ai-chatbot-panel,
+      .ai-chatbot-typing span {
+        animation: none;
+      }
+      .ai-chatbot-bubble,
+      .ai-chatbot-bubble:hover {
+        transition: none;
+        transform: none;
+      }
+    }
+  `;
 
   // Create DOM elements
-  const createWidget = () => {
+  const createWidget = (theme, locale, t) => {
+    // Shadow host; holds the theme variables, colour mode, placement and the
+    // language and direction the shadow tree inherits
+    const host = document.createElement('div');
+    host.id = 'ai-chatbot-host';
+    host.lang = locale;
+    host.dir = isRtlLocale(locale) ? 'rtl' : 'ltr';
+    host.dataset.mode = theme.mode;
+    host.dataset.position = theme.position;
+    Object.entries(THEME_PROPERTIES).forEach(([key, property]) => {
+      if (theme[key] === null) return;
+      host.style.setProperty(property, toCssValue(theme[key]));
+    });
+
+    const root = host.attachShadow({ mode: 'open' });
+    const styleEl = document.createElement('style');
+    styleEl.textContent = styles;
+    root.appendChild(styleEl);
+
     // Label above bubble
     const bubbleLabel = document.createElement('div');
     bubbleLabel.className = 'ai-chatbot-bubble-label';
-    bubbleLabel.textContent = 'Selvia Agent';
+    bubbleLabel.textContent = theme.title;
 
     // Chat bubble
     const bubble = document.createElement('button');
     bubble.className = 'ai-chatbot-bubble';
-    bubble.setAttribute('aria-label', 'Chat with Selvia Agent');
-    bubble.setAttribute('title', 'Selvia Agent');
+    bubble.setAttribute('aria-label', t('openChat', { title: theme.title }));
+    bubble.setAttribute('title', theme.title);
+    bubble.setAttribute('aria-haspopup', 'dialog');
+    bubble.setAttribute('aria-controls', 'ai-chatbot-panel');
+    bubble.setAttribute('aria-expanded', 'false');
     bubble.innerHTML = `
-      <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+      <svg aria-hidden="true" focusable="false" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
         <path d="M20 2H4c-1.1 0-2 .9-2 2v18l4-4h14c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2zm0 14H5.17L4 17.17V4h16v12z"/>
         <path d="M7 9h10v2H7zm0-3h10v2H7z"/>
       </svg>
@@ -325,49 +1343,141 @@
     // Chat panel
     const panel = document.createElement('div');
     panel.className = 'ai-chatbot-panel';
+    panel.id = 'ai-chatbot-panel';
     panel.setAttribute('role', 'dialog');
-    panel.setAttribute('aria-label', 'Selvia Agent chat');
+    panel.setAttribute('aria-modal', 'true');
+    panel.setAttribute('aria-label', t('panelLabel', { title: theme.title }));
     panel.innerHTML = `
       <div class="ai-chatbot-header">
-        <h3>Selvia Agent</h3>
-        <button class="ai-chatbot-close" aria-label="Close chat">
-          <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-            <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
-          </svg>
-        </button>
+        <h3></h3>
+        <div class="ai-chatbot-header-actions">
+          <button class="ai-chatbot-new">
+            <svg aria-hidden="true" focusable="false" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+              <path d="M17.65 6.35A7.958 7.958 0 0 0 12 4c-4.42 0-7.99 3.58-7.99 8s3.57 8 7.99 8c3.73 0 6.84-2.55 7.73-6h-2.08A5.99 5.99 0 0 1 12 18c-3.31 0-6-2.69-6-6s2.69-6 6-6c1.66 0 3.14.69 4.22 1.78L13 11h7V4l-2.35 2.35z"/>
+            </svg>
+          </button>
+          <button class="ai-chatbot-close">
+            <svg aria-hidden="true" focusable="false" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+              <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+            </svg>
+          </button>
+        </div>
       </div>
-      <div class="ai-chatbot-messages" role="log" aria-live="polite"></div>
+      <div class="ai-chatbot-messages" role="log" aria-live="off" tabindex="0"></div>
+      <div class="ai-chatbot-status" role="status" aria-live="polite" aria-atomic="true"></div>
       <div class="ai-chatbot-input-area">
-        <input type="text" class="ai-chatbot-input" placeholder="Ask about products..." aria-label="Type your message">
-        <button class="ai-chatbot-send" aria-label="Send message">
-          <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+        <input type="text" class="ai-chatbot-input">
+        <button class="ai-chatbot-send">
+          <svg aria-hidden="true" focusable="false" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
             <path d="M2.01 21L23 12 2.01 3 2 10l15 2-15 2z"/>
           </svg>
         </button>
       </div>
-      <div class="ai-chatbot-footer">Powered by Selvia</div>
+      <div class="ai-chatbot-footer"></div>
     `;
+    // Merchant and translated text is set as text, never parsed as markup
+    panel.querySelector('.ai-chatbot-header h3').textContent = theme.title;
+    panel.querySelector('.ai-chatbot-footer').textContent = theme.footerText || t('footerText');
+    const newButton = panel.querySelector('.ai-chatbot-new');
+    newButton.setAttribute('aria-label', t('newConversation'));
+    newButton.setAttribute('title', t('newConversation'));
+    panel.querySelector('.ai-chatbot-close').setAttribute('aria-label', t('closeChat'));
+    const input = panel.querySelector('.ai-chatbot-input');
+    input.setAttribute('placeholder', t('inputPlaceholder'));
+    input.setAttribute('aria-label', t('inputLabel'));
+    panel.querySelector('.ai-chatbot-send').setAttribute('aria-label', t('sendMessage'));
+    panel.querySelector('.ai-chatbot-messages').setAttribute('aria-label', t('conversationLabel'));
 
-    document.body.appendChild(bubbleLabel);
-    document.body.appendChild(bubble);
-    document.body.appendChild(panel);
+    root.appendChild(bubbleLabel);
+    root.appendChild(bubble);
+    root.appendChild(panel);
+    document.body.appendChild(host);
 
-    return { bubble, bubbleLabel, panel };
+    return { host, bubble, bubbleLabel, panel };
+  };
+
+  // Events for themes and apps: window.ShopifyChatbot.on('open', handler)
+  const listeners = {};
+
+  const off = (event, handler) => {
+    listeners[event] = (listeners[event] || []).filter(h => h !== handler);
+  };
+
+  // Returns a function that removes the handler again
+  const on = (event, handler) => {
+    listeners[event] = (listeners[event] || []).concat(handler);
+    return () => off(event, handler);
+  };
+
+  // A failing listener must not break the chat
+  const emit = (event, detail) => {
+    (listeners[event] || []).forEach(handler => {
+      try {
+        handler(detail);
+      } catch (error) {
+        console.error(`Chatbot ${event} listener error:`, error);
+      }
+    });
   };
 
   // Widget logic
   const initWidget = () => {
-    const { bubble, bubbleLabel, panel } = createWidget();
+    const locale = getLocale();
+    const t = createTranslator(locale);
+    const rtl = isRtlLocale(locale);
+    const theme = getTheme(rtl);
+    const { host, bubble, bubbleLabel, panel } = createWidget(theme, locale, t);
     const messagesContainer = panel.querySelector('.ai-chatbot-messages');
     const input = panel.querySelector('.ai-chatbot-input');
     const sendBtn = panel.querySelector('.ai-chatbot-send');
     const closeBtn = panel.querySelector('.ai-chatbot-close');
+    const newBtn = panel.querySelector('.ai-chatbot-new');
+    const status = panel.querySelector('.ai-chatbot-status');
+
+    // The greeting may use the same Markdown subset as replies
+    const GREETING = renderMarkdown(theme.greeting || t('greeting'));
 
     let isOpen = false;
     let isFirstOpen = true;
+    // Scroll position to apply the next time the panel opens (restored transcripts)
+    let pendingScrollTop = null;
+    let lastScrollTop = 0;
+    // Where focus goes back to when the panel closes: the bubble, or the
+    // storefront control that opened the chat through the API
+    let returnFocus = null;
+
+    // Focus inside the shadow root shows up as the host in document.activeElement
+    const getActiveElement = () => (document.activeElement === host ? host.shadowRoot.activeElement : document.activeElement);
 
-    const togglePanel = () => {
-      isOpen = !isOpen;
+    // User bubbles are saved as text, assistant and system bubbles as their
+    // sanitized markup. User messages still queued, failed or waiting for a
+    // reply are marked so the next page offers to retry them.
+    const persistTranscript = () => {
+      const messages = Array.from(messagesContainer.querySelectorAll('.ai-chatbot-message')).map(msg => {
+        const type = ['user', 'system'].find(t => msg.classList.contains(t)) || 'assistant';
+        if (type !== 'user') return { type, content: msg.innerHTML };
+        const data = turnData.get(msg);
+        const failed = msg.classList.contains('queued') || msg.classList.contains('failed') || (activeTurn !== null && activeTurn.msg === msg);
+        return {
+          type,
+          content: msg.textContent,
+          action: data && data.action.action ? data.action : undefined,
+          failed: failed || undefined,
+          turnId: failed && data ? data.turnId : undefined
+        };
+      });
+      saveTranscript({ isOpen, scrollTop: lastScrollTop, checkoutHosts: [...checkoutHosts], messages });
+    };
+
+    // focusInput is false when the panel is reopened on page load, so the
+    // storefront does not jump to the chat input
+    const setPanelOpen = (open, focusInput = true) => {
+      const changed = isOpen !== open;
+      // Focus is only moved back if it was in the panel, not when the
+      // storefront closes the chat while the shopper is elsewhere on the page
+      const focusInPanel = panel.contains(getActiveElement());
+      if (open && changed) returnFocus = getActiveElement();
+      isOpen = open;
       panel.classList.toggle('open', isOpen);
       bubble.setAttribute('aria-expanded', isOpen);
 
@@ -376,85 +1486,247 @@
 
       if (isOpen) {
         if (isFirstOpen) {
-          addMessage('assistant', "Hi! I'm Selvia, your shopping assistant. I can help you find products, add items to your cart, and checkout. What are you looking for?");
+          addMessage('assistant', GREETING);
           isFirstOpen = false;
         }
-        input.focus();
+        if (pendingScrollTop !== null) {
+          messagesContainer.scrollTop = pendingScrollTop;
+          pendingScrollTop = null;
+        }
+        if (focusInput) input.focus();
+      } else if (changed && focusInPanel) {
+        const target = returnFocus && returnFocus.isConnected && returnFocus !== document.body ? returnFocus : bubble;
+        target.focus();
+        returnFocus = null;
       }
+      persistTranscript();
+      if (changed) emit(isOpen ? 'open' : 'close', {});
     };
 
+    const togglePanel = () => setPanelOpen(!isOpen);
+
+    // User text is always shown as text; assistant and system content is markup
+    // that goes through the sanitizer
     const addMessage = (type, content) => {
       const msg = document.createElement('div');
       msg.className = `ai-chatbot-message ${type}`;
-      msg.innerHTML = content;
+      if (type === 'user') {
+        msg.textContent = content;
+      } else {
+        msg.replaceChildren(renderHtml(content));
+      }
       messagesContainer.appendChild(msg);
       messagesContainer.scrollTop = messagesContainer.scrollHeight;
+      return msg;
+    };
+
+    // The message log is not a live region; replies are read out through the
+    // status element instead, once complete rather than chunk by chunk while
+    // streaming. Clearing it first makes a repeated text announce again.
+    const announce = (text) => {
+      status.textContent = '';
+      setTimeout(() => { status.textContent = text; }, 100);
+    };
+
+    // A reply as it should sound: its text, product titles and prices, without
+    // the images and card controls
+    const announceMessage = (msg) => {
+      const copy = msg.cloneNode(true);
+      copy.querySelectorAll('img, select, .ai-chatbot-product-actions').forEach(el => el.remove());
+      copy.querySelectorAll('div, p, li, br, tr, td, th').forEach(el => {
+        el.before(' ');
+        el.after(' ');
+      });
+      announce(copy.textContent.replace(/\s+/g, ' ').trim());
     };
 
     const showTyping = () => {
       const typing = document.createElement('div');
       typing.className = 'ai-chatbot-typing';
-      typing.id = 'ai-chatbot-typing';
+      typing.setAttribute('aria-hidden', 'true');
       typing.innerHTML = '<span></span><span></span><span></span>';
       messagesContainer.appendChild(typing);
+      messagesContainer.setAttribute('aria-busy', 'true');
       messagesContainer.scrollTop = messagesContainer.scrollHeight;
+      announce(t('typing', { title: theme.title }));
     };
 
     const hideTyping = () => {
-      const typing = document.getElementById('ai-chatbot-typing');
+      const typing = messagesContainer.querySelector('.ai-chatbot-typing');
       if (typing) typing.remove();
+      messagesContainer.removeAttribute('aria-busy');
     };
 
+    // The lead line is the reply the workflow's AI Agent streamed, if it wrote one
     const formatSearchResults = (data) => {
       const products = data?.data?.products?.edges || [];
       if (products.length === 0) {
-        return "I couldn't find any products matching your search. Try searching for: shirts, dresses, shoes, watches, belts, jackets, or pants.";
+        // Shopify's predictive search tolerates typos, so its query and product
+        // suggestions are offered as chips instead of unrelated products
+        const suggested = data.data.predictiveSearch || {};
+        const suggestions = [...new Set([
+          ...(suggested.queries || []).map(q => q.text),
+          ...(suggested.products || []).map(p => p.title)
+        ].filter(Boolean))].slice(0, 4);
+        let html = data.reply ? renderMarkdown(data.reply) : escapeHtml(t('noProducts'));
+        if (suggestions.length > 0) {
+          html += `<br>${escapeHtml(t('searchSuggestions'))}<div class="ai-chatbot-chips" role="group" aria-label="${escapeHtml(t('searchSuggestions'))}">`;
+          suggestions.forEach(text => {
+            html += `<button type="button" class="ai-chatbot-chip" data-message="${escapeHtml(text)}">${escapeHtml(text)}</button>`;
+          });
+          html += '</div>';
+        }
+        return html;
       }
 
-      let html = `I found ${products.length} product${products.length > 1 ? 's' : ''}:`;
-      products.slice(0, 5).forEach(edge => {
+      let html = data.reply ? renderMarkdown(data.reply) : escapeHtml(t('foundProducts', { count: products.length }));
+      // Cards form a list; arrow keys move between them (roving tabindex)
+      html += `<div class="ai-chatbot-products" role="list" aria-label="${escapeHtml(t('productsLabel'))}">`;
+      products.slice(0, 5).forEach((edge, index) => {
         const product = edge.node;
-        const variant = product.variants?.edges?.[0]?.node;
-        const image = product.images?.edges?.[0]?.node?.url;
+        const variants = (product.variants?.edges || []).map(e => e.node);
+        const available = variants.filter(v => v.availableForSale !== false);
+        const variant = available[0] || variants[0];
+        const image = product.images?.edges?.[0]?.node;
         const price = variant?.price;
+        // The title is shown next to the image, so only a distinct alt text is read out
+        const alt = image?.altText && image.altText !== product.title ? image.altText : '';
 
-        html += '<div class="ai-chatbot-product">';
-        if (image) {
-          html += `<img src="${image}" alt="${product.title}" class="ai-chatbot-product-image">`;
+        html += `<div class="ai-chatbot-product" role="listitem" tabindex="${index === 0 ? 0 : -1}" aria-label="${escapeHtml(product.title)}" data-product-title="${escapeHtml(product.title)}">`;
+        if (image?.url) {
+          html += `<img src="${escapeHtml(image.url)}" alt="${escapeHtml(alt)}" class="ai-chatbot-product-image">`;
         }
-        html += `<div class="ai-chatbot-product-title">${product.title}</div>`;
+        html += `<div class="ai-chatbot-product-title">${escapeHtml(product.title)}</div>`;
         if (price) {
-          html += `<div class="ai-chatbot-product-price">${price.amount} ${price.currencyCode}</div>`;
+          html += `<div class="ai-chatbot-product-price">${escapeHtml(formatMoney(price, locale))}</div>`;
+        }
+
+        html += '<div class="ai-chatbot-product-actions">';
+        if (variants.length > 1) {
+          html += `<select class="ai-chatbot-variant-select" aria-label="${escapeHtml(t('chooseOption', { title: product.title }))}">`;
+          variants.forEach(v => {
+            const soldOut = v.availableForSale === false;
+            html += `<option value="${escapeHtml(v.id)}"${v === variant ? ' selected' : ''}${soldOut ? ' disabled' : ''}>${escapeHtml(v.title)} - ${escapeHtml(formatMoney(v.price, locale))}${soldOut ? ` ${escapeHtml(t('soldOutOption'))}` : ''}</option>`;
+          });
+          html += '</select>';
         }
-        html += '</div>';
+        if (variant) {
+          html += available.length > 0
+            ? `<button type="button" class="ai-chatbot-add-to-cart" data-variant-id="${escapeHtml(variant.id)}">${escapeHtml(t('addToCart'))}</button>`
+            : `<button type="button" class="ai-chatbot-add-to-cart" disabled>${escapeHtml(t('soldOut'))}</button>`;
+        }
+        if (product.handle) {
+          html += `<a href="${escapeHtml(getStoreUrl())}/products/${encodeURIComponent(product.handle)}" class="ai-chatbot-product-link">${escapeHtml(t('viewProduct'))}</a>`;
+        }
+        html += '</div></div>';
       });
+      html += '</div>';
 
       if (products.length > 0) {
-        html += '<br>Would you like to add any of these to your cart? Just say "add [product name] to cart".';
+        html += `<br>${escapeHtml(t('productsHint'))}`;
       }
 
       return html;
     };
 
+    // Option chips for a variant clarification; each chip sends its message back
+    const formatClarification = (data) => {
+      let html = renderMarkdown(data.message);
+      const option = data.clarification.option;
+      html += option ? `<div class="ai-chatbot-chips" role="group" aria-label="${escapeHtml(option)}">` : '<div class="ai-chatbot-chips">';
+      data.clarification.choices.forEach(choice => {
+        html += `<button type="button" class="ai-chatbot-chip" data-message="${escapeHtml(choice.message)}">${escapeHtml(choice.label)}</button>`;
+      });
+      html += '</div>';
+      return html;
+    };
+
+    // A search's filters, sent next to the results or the LLM's `output` as
+    // { searchQuery, filters, currencyCode }. Read before parseReply unwraps them.
+    const getSearchFilters = (reply) => {
+      let data = reply;
+      if (typeof data === 'string') {
+        try {
+          data = JSON.parse(data);
+        } catch (e) {
+          return null;
+        }
+      }
+      if (Array.isArray(data)) data = data[0];
+      if (!data || !data.filters || typeof data.filters !== 'object' || Array.isArray(data.filters)) return null;
+      return { query: String(data.searchQuery || ''), filters: data.filters, currencyCode: data.currencyCode || null };
+    };
+
+    const FILTER_ORDER = ['productType', 'vendor', 'color', 'size', 'priceMin', 'priceMax', 'inStock', 'tags'];
+
+    // One chip per filter. Each carries the search without it, which is sent
+    // back as { action: 'search', query, filters } when the chip is removed.
+    const formatFilterChips = ({ query, filters, currencyCode }) => {
+      const price = (amount) => currencyCode ? formatMoney({ amount, currencyCode }, locale) : String(amount);
+      const without = (key) => {
+        const { [key]: removed, ...rest } = filters;
+        return rest;
+      };
+      const chips = FILTER_ORDER.flatMap(key => {
+        const value = filters[key];
+        if (value === undefined || value === null || value === false || value === '') return [];
+        if (key === 'tags') {
+          const tags = Array.isArray(value) ? value.map(String) : [];
+          return tags.map(tag => {
+            const others = tags.filter(other => other !== tag);
+            return { label: tag, remaining: others.length > 0 ? { ...filters, tags: others } : without('tags') };
+          });
+        }
+        const text = String(value);
+        const label = key === 'priceMin' ? t('filterPriceMin', { price: price(value) })
+          : key === 'priceMax' ? t('filterPriceMax', { price: price(value) })
+            : key === 'size' ? t('filterSize', { size: text.length <= 3 ? text.toUpperCase() : text })
+              : key === 'inStock' ? t('filterInStock')
+                : text;
+        return [{ label, remaining: without(key) }];
+      });
+      if (chips.length === 0) return '';
+
+      let html = `<div class="ai-chatbot-filters" role="group" aria-label="${escapeHtml(t('activeFilters'))}">`;
+      chips.forEach(chip => {
+        html += `<button type="button" class="ai-chatbot-filter" aria-label="${escapeHtml(t('removeFilter', { filter: chip.label }))}" data-query="${escapeHtml(query)}" data-filters="${escapeHtml(JSON.stringify(chip.remaining))}">${escapeHtml(chip.label)} <span class="ai-chatbot-filter-remove">×</span></button>`;
+      });
+      html += '</div>';
+      return html;
+    };
+
     const formatCartResponse = (data) => {
+      if (data.clarification?.choices?.length) {
+        return formatClarification(data);
+      }
+
       if (data.success === false) {
-        return data.message || data.error || "Sorry, I couldn't add that to your cart.";
+        return renderMarkdown(data.message || data.error || t('cartError'));
       }
 
+      if (data.checkoutUrl) allowCheckoutUrl(data.checkoutUrl);
+      const checkoutButton = `<a href="${escapeHtml(data.checkoutUrl)}" class="ai-chatbot-btn">${escapeHtml(t('proceedToCheckout'))}</a>`;
+
       if (data.message && data.checkoutUrl) {
-        return `${data.message}<br><a href="${data.checkoutUrl}" target="_blank" class="ai-chatbot-btn">Proceed to Checkout</a>`;
+        return `${renderMarkdown(data.message)}<br>${checkoutButton}`;
       }
 
       if (data.checkoutUrl) {
         const items = data.items || [];
         const itemText = items.map(i => `${i.title} (${i.quantity}x)`).join(', ');
-        return `Added ${itemText} to your cart!<br><a href="${data.checkoutUrl}" target="_blank" class="ai-chatbot-btn">Proceed to Checkout</a>`;
+        return `${escapeHtml(t('addedToCart', { items: itemText }))}<br>${checkoutButton}`;
       }
 
-      return "Item added to cart successfully!";
+      if (data.message) {
+        return renderMarkdown(data.message);
+      }
+
+      return escapeHtml(t('cartSuccess'));
     };
 
-    const formatResponse = (data) => {
+    // Unwrap a webhook reply into the workflow's result object, or a string for
+    // plain-text replies
+    const parseReply = (data) => {
       if (typeof data === 'string') {
         try {
           data = JSON.parse(data);
@@ -463,13 +1735,31 @@
         }
       }
 
+      // Respond to Webhook with "All Incoming Items" sends an array
+      if (Array.isArray(data)) {
+        data = data[0] || {};
+      }
+
+      // LLM-formatted replies (Misc/LearningSearch workflow) arrive as { output }
+      if (typeof data.output === 'string') {
+        return data.output;
+      }
+
       if (data.response) {
         try {
-          data = JSON.parse(data.response);
+          return JSON.parse(data.response);
         } catch (e) {
           return data.response;
         }
       }
+      return data;
+    };
+
+    const formatReplyBody = (reply) => {
+      const data = parseReply(reply);
+      if (typeof data === 'string') {
+        return renderMarkdown(data);
+      }
 
       if (data.cartId || data.checkoutUrl || data.success !== undefined) {
         return formatCartResponse(data);
@@ -480,76 +1770,696 @@
       }
 
       if (data.error) {
-        return data.message || "Sorry, something went wrong. Please try again.";
+        return renderMarkdown(data.message || t('genericError'));
       }
 
       if (data.message) {
-        return data.message;
+        return renderMarkdown(data.message);
       }
 
-      return "I received your message. How else can I help you?";
+      return escapeHtml(t('fallbackReply'));
     };
 
-    const sendMessage = async () => {
-      const message = input.value.trim();
-      if (!message) return;
+    // Search filters are shown above the reply as removable chips
+    const formatResponse = (reply) => {
+      const search = getSearchFilters(reply);
+      return `${search ? formatFilterChips(search) : ''}${formatReplyBody(reply)}`;
+    };
 
-      addMessage('user', message);
-      input.value = '';
-      sendBtn.disabled = true;
+    // Read a streamed webhook reply, calling onText with the text received so far
+    // and onChunk whenever data arrives.
+    // Understands n8n's streaming response (newline-delimited {"type":"item"} frames)
+    // and Server-Sent Events ("data:" lines, plain text or OpenAI-style deltas).
+    // Any other body is buffered and returned as-is so it can be parsed as JSON.
+    // Every n8n node that streams opens with a "begin" frame: an AI Agent's text
+    // comes first and Respond to Webhook's JSON last, so each begin starts the
+    // text over and the last part is the reply. n8n also sends an "error" frame
+    // for a node that continues on error; it only fails the stream when nothing
+    // follows it.
+    const readStream = async (response, onText, onChunk = () => {}) => {
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let format = null;
+      let buffer = '';
+      let raw = '';
+      let text = '';
+      let streamError = null;
+
+      const handleLine = (line) => {
+        if (format === 'sse') {
+          if (!line.startsWith('data:')) return;
+          const payload = line.slice(5).trim();
+          if (!payload || payload === '[DONE]') return;
+          try {
+            const event = JSON.parse(payload);
+            const delta = event.choices?.[0]?.delta?.content ?? event.content;
+            text += typeof delta === 'string' ? delta : payload;
+          } catch (e) {
+            text += payload;
+          }
+          return;
+        }
+
+        if (!line.trim()) return;
+        const frame = JSON.parse(line);
+        if (frame.type === 'begin' && text) {
+          text = '';
+        } else if (frame.type === 'item' && frame.content != null) {
+          text += typeof frame.content === 'string' ? frame.content : JSON.stringify(frame.content);
+          streamError = null;
+        } else if (frame.type === 'error') {
+          streamError = frame.content || 'Stream error';
+        }
+      };
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        onChunk();
+        const chunk = decoder.decode(value, { stream: true });
+        raw += chunk;
+
+        if (!format) {
+          const head = raw.trimStart();
+          if (/^(data|event|id|retry):/.test(head)) {
+            format = 'sse';
+          } else if (/^\{\s*"type"\s*:\s*"(begin|item|end|error)"/.test(head)) {
+            format = 'ndjson';
+          } else if (head.length >= 16) {
+            format = 'raw';
+          }
+          if (!format) continue;
+          buffer = raw;
+        } else {
+          buffer += chunk;
+        }
+        if (format === 'raw') continue;
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        const before = text;
+        lines.forEach(line => handleLine(line.replace(/\r$/, '')));
+        if (text !== before) onText(text);
+      }
+
+      if (format === 'sse' || format === 'ndjson') {
+        if (buffer) handleLine(buffer);
+        if (streamError) throw requestError('server', streamError);
+        return { streamed: true, text };
+      }
+      return { streamed: false, text: raw };
+    };
+
+    // cart:updated announces changes only: viewing the cart and checkout read
+    // it, and a failed turn changed nothing.
+    const changesCart = (data) => !(data && typeof data === 'object' && (data.success === false || ['view_cart', 'checkout'].includes(data.action)));
+
+    // Tell listeners about a finished reply. Replies synced to the theme cart
+    // have already announced cart:updated with the theme's cart.
+    const emitReply = (reply, msg) => {
+      const data = parseReply(reply);
+      emit('message', { role: 'assistant', text: msg.textContent, data });
+      if (data && data.success && data.cartId !== undefined && !data.themeCart && changesCart(data)) {
+        emit('cart:updated', { action: data.action, target: data.target || null, cartId: data.cartId, checkoutUrl: data.checkoutUrl, items: data.items || [], totalAmount: data.totalAmount || null });
+      }
+      if (data && data.error) {
+        emit('error', { message: data.message || 'The assistant could not answer', data });
+      }
+    };
+
+    // Cart changes for the theme cart. They sit next to `output` in
+    // LLM-formatted replies, so they are read before parseReply unwraps those.
+    const getCartChanges = (reply) => {
+      let data = reply;
+      if (typeof data === 'string') {
+        try {
+          data = JSON.parse(data);
+        } catch (e) {
+          return null;
+        }
+      }
+      if (Array.isArray(data)) data = data[0];
+      return data && Array.isArray(data.cartSync) ? data.cartSync : null;
+    };
+
+    // Apply a reply's cart changes to the theme cart and let the theme refresh
+    // its cart UI. Checkout then goes through the theme cart as well. A change
+    // Shopify refuses replaces the reply with its explanation.
+    const syncThemeCart = async (reply, changes) => {
+      const data = parseReply(reply);
+      const action = data && typeof data === 'object' ? data.action || null : null;
+      const target = data && typeof data === 'object' ? data.target || null : null;
+      try {
+        const cart = await applyCartChanges(changes);
+        const { items, totalAmount } = summarizeCart(cart);
+        const checkoutUrl = items.length > 0 ? cartPath('checkout') : null;
+        if (changes.length > 0 && changesCart(data)) {
+          emit('cart:updated', { action, target, cartId: cart.token, checkoutUrl, items, totalAmount, cart });
+        }
+        if (!data || typeof data !== 'object') return reply;
+        return { ...data, checkoutUrl: data.checkoutUrl ? checkoutUrl : data.checkoutUrl, themeCart: cart };
+      } catch (error) {
+        console.error('Chatbot cart error:', error);
+        emit('error', { message: error.message, error, code: 'cart' });
+        return { success: false, action, message: error.description || t('cartError') };
+      }
+    };
+
+    const ERROR_TEXT = { timeout: 'errorTimeout', server: 'errorServer', request: 'errorRequest', network: 'errorNetwork' };
+
+    // What each user bubble sent, so it can be retried or sent once back online
+    const turnData = new WeakMap();
+    // User bubbles waiting to be sent, oldest first
+    const offlineQueue = [];
+    // The turn waiting for a reply; sending again cancels it
+    let activeTurn = null;
+
+    // Only the fields the widget itself sends with a message are kept: the
+    // variant and quantity of an add to cart, the query and filters of a
+    // removed filter chip
+    const pickAction = (action) => (action && action.action
+      ? { action: String(action.action), variantId: action.variantId, quantity: action.quantity, query: action.query, filters: action.filters }
+      : {});
+
+    const clearMessageState = (msg) => {
+      msg.classList.remove('queued', 'failed');
+      const note = msg.nextElementSibling;
+      if (note && note.classList.contains('ai-chatbot-message-state')) note.remove();
+    };
+
+    // Note under a user bubble: queued while offline, or failed with a Retry button
+    const setMessageState = (msg, state, text, announceIt = true) => {
+      clearMessageState(msg);
+      msg.classList.add(state);
+      const note = document.createElement('div');
+      note.className = `ai-chatbot-message-state ${state}`;
+      note.textContent = text;
+      if (state === 'failed') {
+        const retry = document.createElement('button');
+        retry.type = 'button';
+        retry.className = 'ai-chatbot-retry';
+        retry.textContent = t('retry');
+        note.append(' ', retry);
+      }
+      msg.after(note);
+      if (announceIt) announce(text);
+    };
+
+    const queueMessage = (msg) => {
+      if (!offlineQueue.includes(msg)) offlineQueue.push(msg);
+      offlineQueue.sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+      setMessageState(msg, 'queued', t(navigator.onLine === false ? 'offlineQueued' : 'waitingToSend'));
+    };
+
+    // One request/response exchange. The timer runs per attempt and restarts on
+    // every streamed chunk. cancel() aborts the request, stops its retries and
+    // clears what the turn has rendered; a reply that had already arrived still
+    // gets its cart changes applied. `settled` resolves once the turn is done
+    // either way.
+    const createTurn = (msg) => {
+      const turn = { msg, cancelled: false, timedOut: false, controller: null, timer: null, wake: null, reply: null };
+      turn.settled = new Promise(resolve => { turn.settle = resolve; });
+      turn.stopTimer = () => clearTimeout(turn.timer);
+      turn.startTimer = () => {
+        turn.stopTimer();
+        turn.timer = setTimeout(() => {
+          turn.timedOut = true;
+          turn.controller.abort();
+        }, getRequestTimeout());
+      };
+      turn.wait = (ms) => new Promise((resolve, reject) => {
+        if (turn.cancelled) {
+          reject(requestError('cancelled'));
+          return;
+        }
+        const timer = setTimeout(resolve, ms);
+        turn.wake = () => {
+          clearTimeout(timer);
+          reject(requestError('cancelled'));
+        };
+      });
+      // Map a rejected fetch or stream read to a request error
+      turn.failure = (error) => {
+        if (typeof error.code === 'string') return error;
+        if (turn.cancelled) return requestError('cancelled');
+        if (turn.timedOut) return requestError('timeout', 'The webhook did not answer in time');
+        return requestError(navigator.onLine === false ? 'offline' : 'network', error.message);
+      };
+      turn.cancel = () => {
+        turn.cancelled = true;
+        if (turn.wake) turn.wake();
+        if (turn.controller) turn.controller.abort();
+        hideTyping();
+        if (turn.reply) turn.reply.remove();
+      };
+      return turn;
+    };
+
+    // POST the turn and read the reply with readReply, retrying 429 and 5xx
+    // responses, rejection replies with those statuses and streams that end in
+    // an error frame; resolves with the reply. Retrying is safe for cart changes too:
+    // the body carries the turn id, and the workflow answers a cart turn it
+    // already applied with the stored reply.
+    const postTurn = async (turn, body, readReply) => {
+      for (let attempt = 0; ; attempt++) {
+        turn.controller = new AbortController();
+        turn.startTimer();
+        let response;
+        try {
+          response = await fetch(getWebhookUrl(), {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'Accept': 'application/x-ndjson, text/event-stream, application/json'
+            },
+            body,
+            signal: turn.controller.signal
+          });
+        } catch (error) {
+          throw turn.failure(error);
+        }
+        let status = response.status;
+        let retryAfter = Number(response.headers.get('Retry-After'));
+        let reason = `Webhook responded with ${status}`;
+        if (response.ok) {
+          let reply;
+          try {
+            reply = await readReply(response);
+          } catch (error) {
+            // An error frame means the workflow failed after n8n answered 200
+            if (error.code !== 'server') throw turn.failure(error);
+            reply = { error: true, status: 500, message: error.message };
+          }
+          // n8n's streaming mode answers 200 before any node runs, so a rejected
+          // request (unknown store, rate limit) carries its status in the reply
+          const rejected = parseReply(reply);
+          if (!rejected || !rejected.error || !(rejected.status >= 400)) return reply;
+          status = rejected.status;
+          retryAfter = Number(rejected.retryAfter);
+          reason = rejected.message || `Webhook rejected the request with ${status}`;
+        }
+
+        turn.stopTimer();
+        const retryable = status === 429 || status >= 500;
+        if (!retryable || attempt >= MAX_RETRIES) {
+          throw requestError(retryable ? 'server' : 'request', reason);
+        }
+        // Text streamed before the failure is replaced by the next attempt
+        if (turn.reply) {
+          turn.reply.remove();
+          turn.reply = null;
+          showTyping();
+        }
+        await turn.wait(retryAfter > 0
+          ? Math.min(retryAfter * 1000, RETRY_MAX_DELAY_MS)
+          : RETRY_BASE_DELAY_MS * 2 ** attempt);
+      }
+    };
+
+    // Send a user bubble's message and render the reply. Resolves to true once a
+    // reply is shown, false if the turn failed, was queued or was replaced.
+    const sendTurn = async (msg) => {
+      const { message, action, turnId } = turnData.get(msg);
+      const queued = offlineQueue.indexOf(msg);
+      if (queued !== -1) offlineQueue.splice(queued, 1);
+      clearMessageState(msg);
+      if (navigator.onLine === false) {
+        queueMessage(msg);
+        return false;
+      }
+
+      const previous = activeTurn;
+      if (previous) previous.cancel();
+      const turn = createTurn(msg);
+      activeTurn = turn;
       showTyping();
 
       try {
-        const webhookUrl = getWebhookUrl();
-        const response = await fetch(webhookUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ message })
-        });
+        // A replaced turn that is still applying its cart changes finishes
+        // first, so this one reads the updated cart
+        if (previous) await previous.settled;
+        if (turn.cancelled) return false;
+        // The theme cart goes with every message so the workflow sees what the
+        // shopper already has, including items added outside the chat
+        const themeCart = isThemeCartSynced() ? await cartRequest('cart.js').catch(() => null) : null;
+        if (turn.cancelled) return false;
+        // Older browsers without readable streams get the single JSON reply
+        const readReply = async (response) => {
+          if (!response.body || typeof TextDecoder === 'undefined') return response.json();
+          const { text } = await readStream(response, (partial) => {
+            // Structured replies (product lists, carts) are rendered once complete.
+            // Streamed text stays up while the next part of the stream starts.
+            if (turn.cancelled || !partial.trim() || /^\s*[{[]/.test(partial)) return;
+            if (!turn.reply) {
+              hideTyping();
+              turn.reply = addMessage('assistant', '');
+            }
+            turn.reply.textContent = partial;
+            messagesContainer.scrollTop = messagesContainer.scrollHeight;
+          }, turn.startTimer);
+          return text || {};
+        };
+        let data = await postTurn(turn, JSON.stringify({
+          message,
+          sessionId: getSessionId(),
+          // Same id on every attempt, so a retried cart change is not applied twice
+          turnId,
+          storeId: getStoreId(),
+          locale,
+          country: getCountry(),
+          themeCart: themeCart ? summarizeCart(themeCart) : undefined,
+          ...action
+        }), readReply);
 
-        const data = await response.json();
+        turn.stopTimer();
+        // Applied even when the turn was replaced after its reply arrived, so the
+        // theme cart matches what the workflow did; only the rendering is skipped
+        const changes = themeCart ? getCartChanges(data) : null;
+        if (changes) data = await syncThemeCart(data, changes);
+        if (turn.cancelled) return false;
         hideTyping();
-        addMessage('assistant', formatResponse(data));
+        if (turn.reply) {
+          turn.reply.replaceChildren(renderHtml(formatResponse(data)));
+          messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        } else {
+          turn.reply = addMessage('assistant', formatResponse(data));
+        }
+        emitReply(data, turn.reply);
+        announceMessage(turn.reply);
+        return true;
       } catch (error) {
+        if (turn.cancelled || error.code === 'cancelled') return false;
         hideTyping();
+        if (turn.reply) turn.reply.remove();
+        if (error.code === 'offline') {
+          queueMessage(msg);
+          return false;
+        }
         console.error('Chatbot error:', error);
-        addMessage('assistant', "Sorry, I'm having trouble connecting. Please check if the webhook is running and try again.");
+        setMessageState(msg, 'failed', t(ERROR_TEXT[error.code] || 'errorNetwork'));
+        emit('error', { message: error.message, error, code: error.code || 'network' });
+        return false;
       } finally {
-        sendBtn.disabled = false;
+        turn.stopTimer();
+        turn.settle();
+        if (activeTurn === turn) activeTurn = null;
+        lastScrollTop = messagesContainer.scrollTop;
+        persistTranscript();
+      }
+    };
+
+    // Send queued messages in order once the connection is back
+    let flushing = false;
+    const flushQueue = async () => {
+      if (flushing) return;
+      flushing = true;
+      try {
+        while (offlineQueue.length > 0 && navigator.onLine !== false) {
+          await sendTurn(offlineQueue[0]);
+        }
+      } finally {
+        flushing = false;
+      }
+    };
+
+    // Messages sent while others are still queued wait their turn
+    const send = (msg) => {
+      if (flushing || offlineQueue.length > 0) {
+        queueMessage(msg);
+        flushQueue();
+        return Promise.resolve(false);
       }
+      return sendTurn(msg);
+    };
+
+    // Post a turn to the webhook. `action` holds structured fields such as
+    // { action: 'add_to_cart', variantId, quantity } that the workflow handles
+    // without calling the LLM.
+    const submit = (message, action = {}) => {
+      const msg = addMessage('user', message);
+      turnData.set(msg, { message, action, turnId: createId() });
+      emit('message', { role: 'user', text: message, action: action.action || null });
+      return send(msg);
+    };
+
+    // Clear the local transcript, switch to a new session id and ask the
+    // workflow to drop the old session (it would otherwise expire after an hour)
+    const startNewConversation = async () => {
+      if (activeTurn) activeTurn.cancel();
+      offlineQueue.length = 0;
+      const previousSessionId = getSessionId();
+      resetSessionId();
+      clearTranscript();
+      messagesContainer.replaceChildren();
+      lastScrollTop = 0;
+      addMessage('assistant', GREETING);
+      isFirstOpen = false;
+      persistTranscript();
+      input.focus();
+
+      // The pending turn was aborted, and anything the workflow still saves for it
+      // goes to the old session id, which the widget no longer sends
+      try {
+        await fetch(getWebhookUrl(), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: '', sessionId: previousSessionId, storeId: getStoreId(), action: 'reset' })
+        });
+      } catch (error) {
+        console.error('Chatbot error:', error);
+      }
+    };
+
+    const sendMessage = () => {
+      const message = input.value.trim();
+      if (!message) return;
+      input.value = '';
+      submit(message);
     };
 
     // Event listeners
     bubble.addEventListener('click', togglePanel);
     closeBtn.addEventListener('click', togglePanel);
+    newBtn.addEventListener('click', startNewConversation);
     sendBtn.addEventListener('click', sendMessage);
 
+    messagesContainer.addEventListener('click', (e) => {
+      const chip = e.target.closest('.ai-chatbot-chip');
+      if (!chip || chip.disabled) return;
+      chip.parentElement.querySelectorAll('.ai-chatbot-chip').forEach(c => { c.disabled = true; });
+      input.value = chip.dataset.message;
+      sendMessage();
+    });
+
+    // Removing a filter chip runs the search again without that filter
+    messagesContainer.addEventListener('click', (e) => {
+      const chip = e.target.closest('.ai-chatbot-filter');
+      if (!chip || chip.disabled) return;
+      let filters;
+      try {
+        filters = JSON.parse(chip.dataset.filters);
+      } catch (error) {
+        return;
+      }
+      chip.parentElement.querySelectorAll('.ai-chatbot-filter').forEach(c => { c.disabled = true; });
+      submit(chip.getAttribute('aria-label'), { action: 'search', query: chip.dataset.query || '', filters });
+    });
+
+    messagesContainer.addEventListener('click', (e) => {
+      const button = e.target.closest('.ai-chatbot-add-to-cart');
+      if (!button || button.disabled) return;
+      const card = button.closest('.ai-chatbot-product');
+      const select = card.querySelector('.ai-chatbot-variant-select');
+      const variantId = select ? select.value : button.dataset.variantId;
+      const option = select ? select.options[select.selectedIndex].text.split(' - ')[0] : '';
+      submit(t('addToCartMessage', { item: `${card.dataset.productTitle}${option ? ` (${option})` : ''}` }), { action: 'add_to_cart', variantId, quantity: 1 });
+    });
+
+    messagesContainer.addEventListener('click', (e) => {
+      const retry = e.target.closest('.ai-chatbot-retry');
+      if (!retry) return;
+      const msg = retry.parentElement.previousElementSibling;
+      if (!turnData.has(msg)) return;
+      input.focus();
+      send(msg);
+    });
+
+    // Arrow keys, Home and End move between the product cards of a reply and
+    // between option chips; Tab goes through the controls of the focused card
+    messagesContainer.addEventListener('keydown', (e) => {
+      if (!['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(e.key) || e.target.tagName === 'SELECT') return;
+      const chip = e.target.closest('.ai-chatbot-chip');
+      const card = !chip && e.target.closest('.ai-chatbot-product');
+      const items = chip ? Array.from(chip.parentElement.querySelectorAll('.ai-chatbot-chip:not([disabled])'))
+        : card ? Array.from(card.parentElement.querySelectorAll('.ai-chatbot-product')) : [];
+      const current = items.indexOf(chip || card);
+      if (current === -1) return;
+
+      e.preventDefault();
+      const back = e.key === 'ArrowUp' || e.key === (rtl ? 'ArrowRight' : 'ArrowLeft');
+      const next = e.key === 'Home' ? 0
+        : e.key === 'End' ? items.length - 1
+          : Math.min(Math.max(current + (back ? -1 : 1), 0), items.length - 1);
+      if (card) items.forEach((item, i) => { item.tabIndex = i === next ? 0 : -1; });
+      items[next].focus();
+    });
+
+    // The panel is a modal dialog: Tab and Shift+Tab wrap around inside it
+    const FOCUSABLE = 'button:not([disabled]), a[href], input:not([disabled]), select:not([disabled]), [tabindex]:not([tabindex="-1"])';
+    panel.addEventListener('keydown', (e) => {
+      if (e.key !== 'Tab') return;
+      const focusable = Array.from(panel.querySelectorAll(FOCUSABLE));
+      if (focusable.length === 0) return;
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const current = getActiveElement();
+      if (e.shiftKey && current === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && current === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    });
+
     input.addEventListener('keypress', (e) => {
       if (e.key === 'Enter') sendMessage();
     });
 
-    document.addEventListener('keydown', (e) => {
+    // Closing moves focus back to where it was before the panel opened
+    const onKeydown = (e) => {
       if (e.key === 'Escape' && isOpen) {
         togglePanel();
-        bubble.focus();
       }
+    };
+    document.addEventListener('keydown', onKeydown);
+
+    // Save the scroll position shortly after scrolling stops, and everything
+    // once more when the shopper leaves the page
+    let scrollTimer = null;
+    messagesContainer.addEventListener('scroll', () => {
+      lastScrollTop = messagesContainer.scrollTop;
+      clearTimeout(scrollTimer);
+      scrollTimer = setTimeout(persistTranscript, 200);
     });
+    window.addEventListener('pagehide', persistTranscript);
+    window.addEventListener('online', flushQueue);
+
+    // Restore the conversation from the previous page
+    const saved = loadTranscript();
+    if (saved && saved.messages.length > 0) {
+      // Checkout links in the saved replies go through the sanitizer again
+      (Array.isArray(saved.checkoutHosts) ? saved.checkoutHosts : []).forEach(host => {
+        if (typeof host === 'string') checkoutHosts.add(host);
+      });
+      saved.messages.forEach(entry => {
+        const type = ['user', 'system'].includes(entry.type) ? entry.type : 'assistant';
+        const msg = addMessage(type, entry.content);
+        if (type !== 'user') return;
+        turnData.set(msg, {
+          message: String(entry.content),
+          action: pickAction(entry.action),
+          turnId: typeof entry.turnId === 'string' ? entry.turnId : createId()
+        });
+        if (entry.failed) setMessageState(msg, 'failed', t('noReply'), false);
+      });
+      isFirstOpen = false;
+      lastScrollTop = Number(saved.scrollTop) || 0;
+      pendingScrollTop = lastScrollTop;
+      if (saved.isOpen) setPanelOpen(true, false);
+    }
+
+    // Methods behind window.ShopifyChatbot
+    return {
+      // options.message pre-fills the input, e.g. "Tell me about <product>"
+      open: (options = {}) => {
+        if (!isOpen) setPanelOpen(true);
+        if (options.message) {
+          input.value = options.message;
+          input.focus();
+        }
+      },
+      close: () => {
+        if (isOpen) setPanelOpen(false);
+      },
+      toggle: togglePanel,
+      // Replaces a reply that is still loading. Resolves to true once the
+      // reply is shown, false if the message failed or was queued.
+      sendMessage: (text) => {
+        const message = String(text || '').trim();
+        if (!message) return Promise.resolve(false);
+        if (!isOpen) setPanelOpen(true);
+        return submit(message);
+      },
+      addSystemMessage: (html) => {
+        announceMessage(addMessage('system', html));
+        persistTranscript();
+      },
+      reset: startNewConversation,
+      // Removes the widget from the page; the saved transcript is kept
+      destroy: () => {
+        persistTranscript();
+        if (activeTurn) activeTurn.cancel();
+        clearTimeout(scrollTimer);
+        document.removeEventListener('keydown', onKeydown);
+        window.removeEventListener('pagehide', persistTranscript);
+        window.removeEventListener('online', flushQueue);
+        host.remove();
+      }
+    };
+  };
+
+  // API calls made before the DOM is ready run once the widget exists
+  let widget = null;
+  let destroyed = false;
+  const pendingCalls = [];
+
+  const startWidget = () => {
+    if (destroyed) return;
+    widget = initWidget();
+    pendingCalls.splice(0).forEach(call => call());
+  };
+
+  const callWidget = (method, ...args) => {
+    if (destroyed) return undefined;
+    if (!widget) {
+      pendingCalls.push(() => widget[method](...args));
+      return undefined;
+    }
+    return widget[method](...args);
   };
 
   // Initialize when DOM is ready
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initWidget);
+    document.addEventListener('DOMContentLoaded', startWidget);
   } else {
-    initWidget();
+    startWidget();
   }
 
-  // Expose config interface
+  // Public interface for themes and apps
   window.ShopifyChatbot = {
+    open: (options) => callWidget('open', options),
+    close: () => callWidget('close'),
+    toggle: () => callWidget('toggle'),
+    sendMessage: (text) => callWidget('sendMessage', text),
+    addSystemMessage: (html) => callWidget('addSystemMessage', html),
+    reset: () => callWidget('reset'),
+    destroy: () => {
+      if (widget) widget.destroy();
+      widget = null;
+      destroyed = true;
+      pendingCalls.length = 0;
+      Object.keys(listeners).forEach(event => delete listeners[event]);
+    },
+    on,
+    off,
     setWebhookUrl: (url) => {
       window.CHATBOT_CONFIG = window.CHATBOT_CONFIG || {};
       window.CHATBOT_CONFIG.webhookUrl = url;
+    },
+    setStoreId: (storeId) => {
+      window.CHATBOT_CONFIG = window.CHATBOT_CONFIG || {};
+      window.CHATBOT_CONFIG.storeId = storeId;
     }
   };
 })();